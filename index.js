@@ -5,8 +5,28 @@ const dotenv = require('dotenv')
 
 dotenv.config()
 
+// fail fast instead of queueing queries while MongoDB is unreachable; lib/storage falls back to files
+mongoose.set('bufferCommands', false)
+
+// refuse to run in production with a missing or placeholder JWT secret
+try {
+  require('./lib/tokens').assertSecretConfigured()
+} catch (err) {
+  console.error(`Server: ${err.message}`)
+  process.exit(1)
+}
+
+const { rateLimit } = require('./lib/rateLimit')
+const storage = require('./lib/storage')
+
 const app = express()
-app.use(express.json())
+// behind a reverse proxy (Vercel, nginx) req.ip must come from X-Forwarded-For for per-IP limits
+const trustProxy = process.env.TRUST_PROXY
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy)
+// summarize accepts full article text in POST bodies
+const jsonBody = express.json({ limit: '1mb' })
+// bookmark imports parse their own, larger bodies (routes/bookmarks.js)
+app.use((req, res, next) => (/^\/api\/bookmarks\/import\/?$/i.test(req.path) ? next() : jsonBody(req, res, next)))
 
 // Allow all origins in development to avoid Vite dev port CORS issues; in production restrict to CLIENT_ORIGIN
 const isProd = process.env.NODE_ENV === 'production'
@@ -20,33 +40,59 @@ if (process.env.NEWSDATA_API_KEY) {
   console.log('Server: NEWSDATA_API_KEY is not set')
 }
 
+// Rate limits: a general ceiling for the whole API, tighter ones for upstream-heavy routes
+app.use('/api', rateLimit('api'))
+
 // Routes
-app.use('/api/auth', require('./routes/auth'))
-app.use('/api/bookmarks', require('./routes/bookmarks'))
-app.use('/api/fetch-article', require('./routes/fetchArticle'))
-app.use('/api/summarize', require('./routes/summarize'))
+app.use('/api/annotations', storage.requireDatabase, require('./routes/annotations'))
+app.use('/api/auth', storage.requireStorage, require('./routes/auth'))
+app.use('/api/bookmarks', storage.requireStorage, require('./routes/bookmarks'))
+app.use('/api/digest', storage.requireDatabase, require('./routes/digest'))
+app.use('/api/feed', storage.requireDatabase, require('./routes/feed'))
+app.use('/api/feeds', storage.requireDatabase, require('./routes/feeds'))
+app.use('/api/fetch-article', rateLimit('fetch'), require('./routes/fetchArticle'))
+app.use('/api/notifications', storage.requireDatabase, require('./routes/notifications'))
+app.use('/api/searches', storage.requireDatabase, require('./routes/searches'))
+app.use('/api/summarize', rateLimit('summarize'), require('./routes/summarize'))
+app.use('/api/tokens', storage.requireDatabase, require('./routes/tokens'))
+app.use('/api/trends', storage.requireDatabase, require('./routes/trends'))
+app.use('/api/webhooks', storage.requireDatabase, require('./routes/webhooks'))
 // server-side news proxy
-app.use('/api/news', require('./routes/news'))
+app.use('/api/news', rateLimit('news'), require('./routes/news'))
 
 // basic health
-app.get('/api/ping', (req, res) => res.json({ ok: true, time: Date.now() }))
+app.get('/api/ping', (req, res) => res.json({ ok: true, time: Date.now(), storage: storage.status() }))
 
 const PORT = process.env.PORT || 4000
 const MONGO = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/news_dashboard'
 
+let server = null
+
 function startServer() {
-  app.listen(PORT, () => console.log(`Server listening on ${PORT}`))
+  server = app.listen(PORT, () => console.log(`Server listening on ${PORT}`))
+}
+
+// the file store saves on a short delay, so write out anything pending before exiting
+async function shutdown(signal) {
+  console.log(`Server: ${signal} received, shutting down`)
+  if (server) server.close()
+  try {
+    await storage.flush()
+    await mongoose.disconnect()
+  } catch (err) {
+    console.error('Server: shutdown failed', err)
+  }
+  process.exit(0)
 }
 
-// Try to connect to MongoDB, but do not exit if it fails — allow server to run in degraded mode.
-mongoose
-  .connect(MONGO, { autoIndex: true })
-  .then(() => {
-    console.log('Connected to MongoDB')
-    startServer()
-  })
-  .catch((err) => {
-    console.error('Mongo connection failed', err)
-    console.warn('Continuing without MongoDB - running in degraded mode')
-    startServer()
-  })
+process.once('SIGTERM', () => shutdown('SIGTERM'))
+process.once('SIGINT', () => shutdown('SIGINT'))
+
+startServer()
+// connects in the background (retrying until MongoDB is reachable); saved-search polling, webhook
+// retries and digests need the database
+storage.connect(MONGO, () => {
+  require('./lib/scheduler').start()
+  require('./lib/webhooks').start()
+  require('./lib/digest').start()
+})
@@ -0,0 +1,143 @@
+// Highlights anchored to article text. A highlight is stored as a W3C TextQuoteSelector (exact
+// quote plus prefix/suffix context) and found again in the text from lib/article (the bookmark's
+// snapshot, or a fresh /api/fetch-article) even when that text has shifted or been re-wrapped.
+// Also renders annotations as Markdown and as W3C Web Annotation JSON-LD.
+
+const CONTEXT_CHARS = 32
+const W3C_CONTEXT = 'http://www.w3.org/ns/anno.jsonld'
+
+// Selector for text[start, end)
+function quoteSelector(text, start, end) {
+  return {
+    exact: text.slice(start, end),
+    prefix: text.slice(Math.max(0, start - CONTEXT_CHARS), start),
+    suffix: text.slice(end, end + CONTEXT_CHARS),
+    start,
+    end,
+  }
+}
+
+// Whitespace runs collapsed to one space, with map[i] = index in the original of collapsed char i
+function collapse(text) {
+  let out = ''
+  const map = []
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (out.endsWith(' ')) continue
+      out += ' '
+    } else {
+      out += text[i]
+    }
+    map.push(i)
+  }
+  map.push(text.length)
+  return { text: out, map }
+}
+
+function commonSuffixLength(a, b) {
+  let n = 0
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++
+  return n
+}
+
+function commonPrefixLength(a, b) {
+  let n = 0
+  while (n < a.length && n < b.length && a[n] === b[n]) n++
+  return n
+}
+
+// Best occurrence of exact in text: most matching context, then closest to the position hint
+function bestMatch(text, exact, prefix, suffix, hint) {
+  let best = null
+  for (let i = text.indexOf(exact); i !== -1; i = text.indexOf(exact, i + 1)) {
+    const end = i + exact.length
+    const score = commonSuffixLength(text.slice(Math.max(0, i - prefix.length), i), prefix) + commonPrefixLength(text.slice(end, end + suffix.length), suffix)
+    const distance = hint === null ? 0 : Math.abs(i - hint)
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) best = { start: i, end, score, distance }
+  }
+  return best
+}
+
+/**
+ * Find a selector's quote in text. Tries the exact characters first, then ignores differences in
+ * whitespace. Resolves repeated quotes by their prefix/suffix and the stored start offset.
+ * Returns { start, end } into text, or null when the quote is no longer there.
+ */
+function anchorQuote(text, selector) {
+  if (!text || !selector || !selector.exact) return null
+  const hint = Number.isInteger(selector.start) ? selector.start : null
+  const direct = bestMatch(text, selector.exact, selector.prefix || '', selector.suffix || '', hint)
+  if (direct) return { start: direct.start, end: direct.end }
+
+  const hay = collapse(text)
+  const exact = collapse(selector.exact).text.trim()
+  if (!exact) return null
+  const found = bestMatch(hay.text, exact, collapse(selector.prefix || '').text, collapse(selector.suffix || '').text, null)
+  if (!found) return null
+  // map back; end is one past the last quoted character
+  return { start: hay.map[found.start], end: hay.map[found.end - 1] + 1 }
+}
+
+/**
+ * A W3C Web Annotation for an annotation and its bookmark. id is the annotation's own URL.
+ * The comment becomes a commenting body and each tag a tagging body; plain highlights have none.
+ */
+function toW3C(annotation, bookmark, id) {
+  const body = []
+  if (annotation.comment) body.push({ type: 'TextualBody', value: annotation.comment, format: 'text/plain', purpose: 'commenting' })
+  for (const tag of annotation.tags || []) body.push({ type: 'TextualBody', value: tag, purpose: 'tagging' })
+  const s = annotation.selector
+  const selector = [{ type: 'TextQuoteSelector', exact: s.exact, prefix: s.prefix || '', suffix: s.suffix || '' }]
+  if (Number.isInteger(s.start) && Number.isInteger(s.end)) selector.push({ type: 'TextPositionSelector', start: s.start, end: s.end })
+  const out = {
+    '@context': W3C_CONTEXT,
+    id,
+    type: 'Annotation',
+    motivation: annotation.comment ? 'commenting' : 'highlighting',
+    created: new Date(annotation.createdAt).toISOString(),
+    modified: new Date(annotation.updatedAt || annotation.createdAt).toISOString(),
+    target: { source: bookmark.url, selector },
+  }
+  if (bookmark.title) out.target.title = bookmark.title
+  if (body.length) out.body = body.length === 1 ? body[0] : body
+  return out
+}
+
+// All of them as one W3C AnnotationCollection with a single page; items share its @context
+function toW3CCollection(annotations, label) {
+  const items = annotations.map(({ '@context': context, ...rest }) => rest)
+  return {
+    '@context': W3C_CONTEXT,
+    type: 'AnnotationCollection',
+    label,
+    total: items.length,
+    first: { type: 'AnnotationPage', startIndex: 0, items },
+  }
+}
+
+function mdLink(title, url) {
+  const text = String(title || url).replace(/([[\]])/g, '\\$1')
+  // parentheses and spaces would end the link target early
+  const target = String(url).replace(/[()\s]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+  return url ? `[${text}](${target})` : text
+}
+
+/**
+ * Markdown notes: one section per bookmark (in the given order) with each highlight as a
+ * blockquote followed by its comment and tags. groups: [{ bookmark, annotations }].
+ */
+function renderMarkdown(groups, title = 'Highlights') {
+  const out = [`# ${title}`, '']
+  for (const { bookmark, annotations } of groups) {
+    out.push(`## ${mdLink(bookmark.title, bookmark.url)}`, '')
+    if (bookmark.source) out.push(`_${bookmark.source}_`, '')
+    for (const a of annotations) {
+      out.push(...a.selector.exact.trim().split(/\r?\n/).map((line) => `> ${line}`.trimEnd()), '')
+      if (a.comment) out.push(a.comment.trim(), '')
+      if (a.tags && a.tags.length) out.push(a.tags.map((t) => `#${t}`).join(' '), '')
+    }
+  }
+  return out.join('\n')
+}
+
+module.exports = { quoteSelector, anchorQuote, toW3C, toW3CCollection, renderMarkdown, CONTEXT_CHARS }
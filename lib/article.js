@@ -0,0 +1,20 @@
+// Fetch a web page and extract its article content (shared by /api/fetch-article and bookmark snapshots)
+const { decodeBody } = require('./html')
+const { extractArticle } = require('./extract')
+const { safeFetch, HTML_TYPES } = require('./safeFetch')
+
+const TIMEOUT_MS = 8000 // 8s
+const MAX_BYTES = 200 * 1024 // 200 KB
+
+// Resolves with { url, ...extractArticle() }; rejects with SafeFetchError when the fetch is blocked or fails
+async function fetchArticle(url, opts = {}) {
+  const remote = await safeFetch(url, {
+    timeoutMs: opts.timeoutMs || TIMEOUT_MS,
+    maxBytes: opts.maxBytes || MAX_BYTES,
+    allowedTypes: HTML_TYPES,
+  })
+  const html = decodeBody(remote.body, remote.contentType)
+  return { url: remote.url, ...extractArticle(html, remote.url) }
+}
+
+module.exports = { fetchArticle }
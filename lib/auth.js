@@ -0,0 +1,125 @@
+// Request authentication shared by every route. A bearer token is either a session access token
+// (JWT from /api/auth/login, full access) or a personal access token ("ndp_...", limited to its scopes).
+const jwt = require('jsonwebtoken')
+const ApiToken = require('../models/ApiToken')
+const { JWT_SECRET, hashToken, randomToken } = require('./tokens')
+const { databaseConnected } = require('./storage')
+
+const PAT_PREFIX = 'ndp_'
+const SCOPES = [
+  'bookmarks:read',
+  'bookmarks:write',
+  'news:read',
+  'feeds:read',
+  'feeds:write',
+  'searches:read',
+  'searches:write',
+  'notifications:read',
+  'notifications:write',
+  'digest:read',
+  'digest:write',
+  'webhooks:read',
+  'webhooks:write',
+]
+// lastUsedAt is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+// what createPersonalToken() issues; anything else is rejected without a database lookup
+const PAT_FORMAT = new RegExp(`^${PAT_PREFIX}[A-Za-z0-9_-]{43}$`)
+
+function bearerToken(req) {
+  const parts = String(req.headers.authorization || '').split(' ')
+  if (parts.length !== 2 || !parts[1]) return null
+  return parts[1]
+}
+
+// A new personal access token: { raw, hash, prefix }; raw is shown to the user once
+function createPersonalToken() {
+  const raw = `${PAT_PREFIX}${randomToken()}`
+  return { raw, hash: hashToken(raw), prefix: raw.slice(0, PAT_PREFIX.length + 6) }
+}
+
+/**
+ * Resolve a bearer token to { id, email, type: 'session' | 'token', scopes, tokenId }.
+ * Resolves with null when the token is missing, invalid or expired.
+ */
+async function authenticate(token) {
+  if (!token) return null
+  if (token.startsWith(PAT_PREFIX)) {
+    if (!PAT_FORMAT.test(token)) return null
+    const record = await ApiToken.findOne({ tokenHash: hashToken(token) })
+    if (!record || (record.expiresAt && record.expiresAt <= new Date())) return null
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      ApiToken.updateOne({ _id: record._id }, { $set: { lastUsedAt: new Date() } }).catch((err) => console.warn('Auth: could not record token use:', err.message))
+    }
+    return { id: String(record.userId), email: null, type: 'token', scopes: record.scopes, tokenId: String(record._id) }
+  }
+  try {
+    const payload = jwt.verify(token, JWT_SECRET)
+    return { id: payload.userId, email: payload.email, type: 'session', scopes: null, tokenId: null }
+  } catch (err) {
+    return null
+  }
+}
+
+// authenticate() the request's bearer token once; the rate limiter and the auth middleware share
+// the result, so a personal token costs one lookup per request
+function authenticateRequest(req) {
+  if (!req.authResult) req.authResult = authenticate(bearerToken(req))
+  return req.authResult
+}
+
+// Sessions may do anything; personal tokens need every listed scope
+function hasScopes(user, scopes) {
+  if (user.type === 'session') return true
+  return scopes.every((s) => user.scopes.includes(s))
+}
+
+/**
+ * Middleware requiring a session or a personal token carrying all of the given scopes.
+ * Sets req.user; answers 401 without valid credentials and 403 when a scope is missing.
+ */
+function requireAuth(...scopes) {
+  return async (req, res, next) => {
+    try {
+      const token = bearerToken(req)
+      if (!token) return res.status(401).json({ error: 'Unauthorized' })
+      // personal tokens live only in MongoDB; sessions keep working on the file store
+      if (token.startsWith(PAT_PREFIX) && !databaseConnected()) return res.status(503).json({ error: 'Database unavailable' })
+      const user = await authenticateRequest(req)
+      if (!user) return res.status(401).json({ error: 'Invalid token' })
+      if (!hasScopes(user, scopes)) return res.status(403).json({ error: 'Insufficient scope', required: scopes })
+      req.user = user
+      next()
+    } catch (err) {
+      console.error(err)
+      res.status(500).json({ error: 'Server error' })
+    }
+  }
+}
+
+// Account management (passwords, sessions, tokens) is only allowed from a login session
+function requireSession(req, res, next) {
+  return requireAuth()(req, res, () => {
+    if (req.user.type !== 'session') return res.status(403).json({ error: 'This endpoint requires a login session' })
+    next()
+  })
+}
+
+/**
+ * Middleware that sets req.user when valid credentials with the given scopes are sent and
+ * otherwise continues anonymously, for endpoints that work signed in or out.
+ */
+function optionalAuth(...scopes) {
+  return async (req, res, next) => {
+    try {
+      const token = bearerToken(req)
+      const user = token && (!token.startsWith(PAT_PREFIX) || databaseConnected()) ? await authenticateRequest(req) : null
+      if (user && hasScopes(user, scopes)) req.user = user
+    } catch (err) {
+      console.warn('Auth: optional authentication failed:', err.message || err)
+    }
+    next()
+  }
+}
+
+module.exports = { SCOPES, PAT_PREFIX, createPersonalToken, authenticate, authenticateRequest, bearerToken, requireAuth, requireSession, optionalAuth }
@@ -0,0 +1,153 @@
+// A user's bookmarks as a subscribable feed: RSS 2.0, Atom 1.0 or JSON Feed 1.1. Item content is
+// HTML built from the bookmark's notes, the summary stored with its snapshot and its tags.
+
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8' },
+  json: { contentType: 'application/feed+json; charset=utf-8' },
+}
+const GENERATOR = 'News Dashboard'
+
+function escapeXml(str) {
+  return String(str || '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c])
+}
+
+function escapeHtml(str) {
+  return String(str || '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+}
+
+function paragraphs(text) {
+  return String(text)
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`)
+}
+
+function summaryOf(b) {
+  return (b.snapshot && b.snapshot.summary) || ''
+}
+
+// Notes first (they're the user's own words), then the summary and tags
+function contentHtml(b) {
+  const parts = []
+  if (b.notes) parts.push(...paragraphs(b.notes))
+  const summary = summaryOf(b)
+  if (summary) parts.push(`<blockquote>${paragraphs(summary).join('')}</blockquote>`)
+  if (b.tags && b.tags.length) parts.push(`<p>Tags: ${b.tags.map(escapeHtml).join(', ')}</p>`)
+  parts.push(`<p><a href="${escapeHtml(b.url)}">${escapeHtml(b.source || b.url)}</a></p>`)
+  return parts.join('\n')
+}
+
+function contentText(b) {
+  const parts = []
+  if (b.notes) parts.push(b.notes.trim())
+  const summary = summaryOf(b)
+  if (summary) parts.push(`Summary: ${summary.trim()}`)
+  if (b.tags && b.tags.length) parts.push(`Tags: ${b.tags.join(', ')}`)
+  parts.push(b.url)
+  return parts.join('\n\n')
+}
+
+function savedDate(b) {
+  return new Date(b.savedAt || b.createdAt)
+}
+
+function updatedDate(b) {
+  return new Date(b.updatedAt || b.savedAt || b.createdAt)
+}
+
+function renderRss(feed, bookmarks) {
+  const items = bookmarks.map((b) => [
+    '    <item>',
+    `      <title>${escapeXml(b.title)}</title>`,
+    `      <link>${escapeXml(b.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(feed.itemId(b))}</guid>`,
+    `      <pubDate>${savedDate(b).toUTCString()}</pubDate>`,
+    ...(b.tags || []).map((t) => `      <category>${escapeXml(t)}</category>`),
+    `      <description>${escapeXml(contentHtml(b))}</description>`,
+    '    </item>',
+  ].join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <generator>${GENERATOR}</generator>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n')
+}
+
+function renderAtom(feed, bookmarks) {
+  const entries = bookmarks.map((b) => [
+    '  <entry>',
+    `    <title>${escapeXml(b.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(b.url)}"/>`,
+    `    <id>${escapeXml(feed.itemId(b))}</id>`,
+    `    <published>${savedDate(b).toISOString()}</published>`,
+    `    <updated>${updatedDate(b).toISOString()}</updated>`,
+    ...(b.tags || []).map((t) => `    <category term="${escapeXml(t)}"/>`),
+    summaryOf(b) ? `    <summary>${escapeXml(summaryOf(b))}</summary>` : null,
+    `    <content type="html">${escapeXml(contentHtml(b))}</content>`,
+    '  </entry>',
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(feed.author)}</name></author>`,
+    `  <generator>${GENERATOR}</generator>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n')
+}
+
+function renderJsonFeed(feed, bookmarks) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    authors: [{ name: feed.author }],
+    items: bookmarks.map((b) => {
+      const item = {
+        id: feed.itemId(b),
+        url: b.url,
+        title: b.title,
+        content_html: contentHtml(b),
+        content_text: contentText(b),
+        date_published: savedDate(b).toISOString(),
+        date_modified: updatedDate(b).toISOString(),
+        tags: b.tags || [],
+      }
+      if (summaryOf(b)) item.summary = summaryOf(b)
+      if (b.snapshot && b.snapshot.leadImage) item.image = b.snapshot.leadImage
+      return item
+    }),
+  }, null, 2)
+}
+
+/**
+ * Render bookmarks (newest first) as a feed. feed: { title, description, author, id, homeUrl,
+ * selfUrl, updated (Date), itemId(bookmark) }. Returns { contentType, body }.
+ */
+function renderFeed(format, feed, bookmarks) {
+  const body = format === 'atom' ? renderAtom(feed, bookmarks) : format === 'json' ? renderJsonFeed(feed, bookmarks) : renderRss(feed, bookmarks)
+  return { contentType: FEED_FORMATS[format].contentType, body }
+}
+
+module.exports = { renderFeed, FEED_FORMATS }
@@ -0,0 +1,236 @@
+// Bookmark import/export formats: Netscape bookmark HTML (browsers, Pocket), Instapaper CSV,
+// and our own JSON and CSV. Parsers return plain items; validation and saving happen in the route.
+const { parseAttrs, decodeEntities, collapseWhitespace } = require('./html')
+const { parseCsv, toCsv } = require('./csv')
+
+const EXPORT_FORMATS = ['html', 'json', 'csv']
+const CSV_HEADER = ['title', 'url', 'source', 'savedAt', 'notes', 'tags', 'collection']
+// Instapaper folders that are read states rather than user folders
+const INSTAPAPER_STATES = new Set(['unread', 'archive', 'starred'])
+// Spreadsheets run cells starting with these as formulas; CSV exports prefix them with a quote
+const FORMULA_START = /^[=+\-@\t\r]/
+
+// Epoch seconds, milliseconds or microseconds (browsers differ) or a date string
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null
+  if (/^\d+$/.test(String(value).trim())) {
+    let n = Number(value)
+    if (n > 1e14) n = n / 1000
+    else if (n < 1e11) n = n * 1000
+    const d = new Date(n)
+    return Number.isNaN(d.getTime()) ? null : d
+  }
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? null : d
+}
+
+// A free-text field from an imported file; objects and arrays count as missing
+function text(value) {
+  if (typeof value === 'string') return value
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : ''
+}
+
+function splitTags(value) {
+  if (!value) return []
+  if (Array.isArray(value)) return value.map(text).filter(Boolean)
+  return text(value).split(/[,|]/).map((t) => t.trim()).filter(Boolean)
+}
+
+function htmlText(fragment) {
+  return collapseWhitespace(decodeEntities(String(fragment || '').replace(/<[^>]+>/g, ' ')))
+}
+
+// Netscape bookmark files (and Pocket's export, which uses the same <a> attributes in a <ul>).
+// The format is not well-formed HTML (<DT> and <p> are never closed), so it is scanned token by token:
+// an <H3> names the folder opened by the following <DL>.
+function parseNetscape(html) {
+  const items = []
+  const folders = []
+  let pendingFolder = null
+  const tokenRe = /<h3([^>]*)>([\s\S]*?)<\/h3>|<dl[^>]*>|<\/dl>|<a\s([^>]*)>([\s\S]*?)<\/a>|<dd>([^<]*)/gi
+  let m
+  while ((m = tokenRe.exec(html))) {
+    const token = m[0].slice(0, 3).toLowerCase()
+    if (m[2] !== undefined) {
+      pendingFolder = htmlText(m[2])
+    } else if (token === '<dl') {
+      folders.push(pendingFolder)
+      pendingFolder = null
+    } else if (token === '</d') {
+      folders.pop()
+    } else if (m[3] !== undefined) {
+      const attrs = parseAttrs(m[3])
+      const folder = [...folders].reverse().find(Boolean) || null
+      items.push({
+        title: htmlText(m[4]),
+        url: attrs.href || '',
+        savedAt: parseTimestamp(attrs.add_date || attrs.time_added),
+        tags: splitTags(attrs.tags),
+        notes: '',
+        collection: folder,
+      })
+    } else if (m[5] !== undefined && items.length) {
+      items[items.length - 1].notes = htmlText(m[5])
+    }
+  }
+  return items
+}
+
+// Rows keyed by lowercased header names
+function csvRecords(text) {
+  const rows = parseCsv(text)
+  if (rows.length === 0) return { header: [], records: [] }
+  const header = rows[0].map((h) => h.trim().toLowerCase())
+  const records = rows.slice(1).map((r) => Object.fromEntries(header.map((h, i) => [h, r[i] !== undefined ? r[i] : ''])))
+  return { header, records }
+}
+
+// Instapaper CSV: URL,Title,Selection,Folder,Timestamp
+function parseInstapaper(records) {
+  return records.map((r) => {
+    const folder = (r.folder || '').trim()
+    return {
+      title: r.title || '',
+      url: r.url || '',
+      savedAt: parseTimestamp(r.timestamp),
+      notes: r.selection || '',
+      tags: splitTags(r.tags),
+      collection: folder && !INSTAPAPER_STATES.has(folder.toLowerCase()) ? folder : null,
+    }
+  })
+}
+
+// Undo the formula guard our CSV export adds
+function unguardCell(value) {
+  const s = text(value)
+  return s.startsWith("'") && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s
+}
+
+// Our own CSV export
+function parseOwnCsv(records) {
+  return records.map((r) => ({
+    title: unguardCell(r.title),
+    url: text(r.url),
+    source: unguardCell(r.source),
+    savedAt: parseTimestamp(r.savedat),
+    notes: unguardCell(r.notes),
+    tags: splitTags(unguardCell(r.tags)),
+    collection: unguardCell(r.collection) || null,
+  }))
+}
+
+// Our own JSON export, or a bare array of bookmark objects
+function parseJson(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.bookmarks) ? data.bookmarks : null
+  if (!list) throw new Error('JSON import must be an array or an object with a "bookmarks" array')
+  return list.map((b) => ({
+    title: text(b && b.title),
+    url: text(b && b.url),
+    source: text(b && b.source),
+    savedAt: parseTimestamp(b && b.savedAt),
+    notes: text(b && b.notes),
+    tags: splitTags(b && b.tags),
+    collection: text(b && b.collection) || null,
+  }))
+}
+
+function detectFormat(input) {
+  if (typeof input !== 'string') return 'json'
+  const head = input.trimStart().slice(0, 2000)
+  if (head.startsWith('{') || head.startsWith('[')) return 'json'
+  if (/<!DOCTYPE NETSCAPE-Bookmark-file/i.test(head)) return 'netscape'
+  if (/<title>\s*Pocket Export/i.test(head) || /time_added=/i.test(input)) return 'pocket'
+  if (/<a\s[^>]*href=/i.test(input)) return 'netscape'
+  const firstLine = head.split(/\r?\n/)[0].toLowerCase()
+  if (/^url,title,selection,folder/.test(firstLine.replace(/"/g, ''))) return 'instapaper'
+  if (firstLine.includes('url')) return 'csv'
+  return null
+}
+
+/**
+ * Parse an import payload. format may be 'auto' (default), 'netscape', 'pocket', 'instapaper', 'csv' or 'json'.
+ * Returns { format, items } where each item has title, url, savedAt, notes, tags, collection (name or null).
+ * Throws when the format can't be detected or the payload can't be parsed.
+ */
+function parseImport(input, format = 'auto') {
+  const resolved = !format || format === 'auto' ? detectFormat(input) : format
+  if (resolved === 'json') return { format: resolved, items: parseJson(input) }
+  if (typeof input !== 'string') throw new Error(`${resolved || 'This'} import expects a text body`)
+  if (resolved === 'netscape' || resolved === 'html' || resolved === 'pocket') return { format: resolved === 'html' ? 'netscape' : resolved, items: parseNetscape(input) }
+  if (resolved === 'instapaper' || resolved === 'csv') {
+    const { header, records } = csvRecords(input)
+    if (!header.includes('url')) throw new Error('CSV import needs a "url" column')
+    const instapaper = resolved === 'instapaper' || header.includes('selection')
+    return { format: instapaper ? 'instapaper' : 'csv', items: instapaper ? parseInstapaper(records) : parseOwnCsv(records) }
+  }
+  throw new Error('Could not detect import format')
+}
+
+function escapeHtml(str) {
+  return String(str || '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+}
+
+function exportRecord(b, collectionNames) {
+  return {
+    title: b.title,
+    url: b.url,
+    source: b.source || '',
+    savedAt: new Date(b.savedAt || b.createdAt).toISOString(),
+    notes: b.notes || '',
+    tags: b.tags || [],
+    collection: (b.collectionId && collectionNames.get(String(b.collectionId))) || null,
+  }
+}
+
+function guardCell(value) {
+  const s = String(value || '')
+  return FORMULA_START.test(s) ? `'${s}` : s
+}
+
+function netscapeEntry(r, indent) {
+  const addDate = Math.floor(new Date(r.savedAt).getTime() / 1000)
+  const tags = r.tags.length ? ` TAGS="${escapeHtml(r.tags.join(','))}"` : ''
+  let out = `${indent}<DT><A HREF="${escapeHtml(r.url)}" ADD_DATE="${addDate}"${tags}>${escapeHtml(r.title)}</A>\n`
+  if (r.notes) out += `${indent}<DD>${escapeHtml(r.notes).replace(/\r?\n/g, ' ')}\n`
+  return out
+}
+
+// Netscape bookmark file; each collection becomes a folder
+function renderNetscape(records) {
+  const loose = records.filter((r) => !r.collection)
+  const folders = new Map()
+  for (const r of records) {
+    if (!r.collection) continue
+    if (!folders.has(r.collection)) folders.set(r.collection, [])
+    folders.get(r.collection).push(r)
+  }
+  let out = '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n'
+  out += '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n'
+  out += '<TITLE>Bookmarks</TITLE>\n<H1>Bookmarks</H1>\n<DL><p>\n'
+  for (const [name, list] of folders) {
+    out += `    <DT><H3>${escapeHtml(name)}</H3>\n    <DL><p>\n`
+    for (const r of list) out += netscapeEntry(r, '        ')
+    out += '    </DL><p>\n'
+  }
+  for (const r of loose) out += netscapeEntry(r, '    ')
+  out += '</DL><p>\n'
+  return out
+}
+
+/**
+ * Render bookmarks for export. collectionNames maps collection id -> name.
+ * Returns { contentType, extension, body }.
+ */
+function renderExport(bookmarks, collectionNames, format) {
+  const records = bookmarks.map((b) => exportRecord(b, collectionNames))
+  if (format === 'html') return { contentType: 'text/html; charset=utf-8', extension: 'html', body: renderNetscape(records) }
+  if (format === 'csv') {
+    const rows = [CSV_HEADER, ...records.map((r) => [guardCell(r.title), r.url, guardCell(r.source), r.savedAt, guardCell(r.notes), guardCell(r.tags.join(',')), guardCell(r.collection)])]
+    return { contentType: 'text/csv; charset=utf-8', extension: 'csv', body: toCsv(rows) }
+  }
+  const body = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), bookmarks: records }, null, 2)
+  return { contentType: 'application/json; charset=utf-8', extension: 'json', body }
+}
+
+module.exports = { parseImport, renderExport, EXPORT_FORMATS }
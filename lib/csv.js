@@ -0,0 +1,52 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Parse CSV text into an array of rows (arrays of strings); handles quoted fields, "" escapes and CRLF
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  const src = String(text || '').replace(/^\uFEFF/, '')
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i]
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(field)
+      field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += c
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter((r) => r.length > 1 || r[0] !== '')
+}
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toCsv(rows) {
+  return rows.map((r) => r.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+module.exports = { parseCsv, toCsv }
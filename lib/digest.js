@@ -0,0 +1,300 @@
+// Email digests: bookmarks saved in the period, top headlines for the user's preferred filters and
+// the newest matches of their saved searches, each with a short extractive summary. Rendered as
+// Markdown (the plain-text part) and HTML, sent through lib/mailer by a background tick at each
+// user's chosen local hour.
+const mongoose = require('mongoose')
+const DigestSettings = require('../models/DigestSettings')
+const SavedSearch = require('../models/SavedSearch')
+const { storage } = require('./storage')
+const { getNews, dedupeArticles } = require('./news')
+const { summarizeText } = require('./summarizer')
+const { phraseSeparator } = require('./language')
+const { sendMail } = require('./mailer')
+
+const TICK_MS = Number(process.env.DIGEST_TICK_MS) || 5 * 60 * 1000
+const RETRY_MS = 60 * 60 * 1000
+const BATCH_SIZE = 20
+const MAX_BOOKMARKS = 20
+const MAX_TOPICS = 5
+const ARTICLES_PER_TOPIC = 3
+const SUMMARY_SENTENCES = 2
+const DAY_MS = 24 * 60 * 60 * 1000
+const APP_URL = process.env.APP_URL || 'http://localhost:5174'
+
+let timer = null
+let running = false
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+// Wall-clock fields of a moment in a timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date)
+  const get = (type) => Number(parts.find((p) => p.type === type).value)
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') }
+}
+
+// The UTC instant of a local wall-clock time; two passes settle DST transitions
+function zonedTimeToUtc(year, month, day, hour, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour)
+  let guess = wall
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(guess), timeZone)
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess
+    guess = wall - offset
+  }
+  return new Date(guess)
+}
+
+/**
+ * Next time a digest is due after `after`: settings.hour local to settings.timezone, every day or
+ * on settings.weekday for weekly digests.
+ */
+function nextSendAt(settings, after = new Date()) {
+  const tz = settings.timezone || 'UTC'
+  const today = zonedParts(after, tz)
+  for (let i = 0; i <= 8; i++) {
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + i))
+    if (settings.frequency === 'weekly' && d.getUTCDay() !== settings.weekday) continue
+    const at = zonedTimeToUtc(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), settings.hour, tz)
+    if (at > after) return at
+  }
+  return new Date(after.getTime() + DAY_MS)
+}
+
+function summarize(text, sentences = SUMMARY_SENTENCES) {
+  if (!text || !String(text).trim()) return ''
+  const result = summarizeText(String(text), { sentences, keywords: 0 })
+  return result ? result.picked.map((p) => p.text).join(phraseSeparator(result.language)) : ''
+}
+
+function digestArticle(a) {
+  return { title: a.title || 'Untitled', url: a.url || '', source: a.source || '', time: a.time || '', summary: summarize(a.description) }
+}
+
+async function digestBookmarks(userId, from, to) {
+  // with snapshot text: the summary prefers the saved article over notes
+  const page = await storage.listBookmarks(userId, { from, to, sort: { field: 'createdAt', dir: -1 }, limit: MAX_BOOKMARKS, withText: true })
+  return page.map((b) => {
+    const text = (b.snapshot && b.snapshot.text) || b.notes || ''
+    return { title: b.title, url: b.url, source: b.source || '', savedAt: b.savedAt, tags: b.tags || [], notes: b.notes || '', summary: summarize(text) }
+  })
+}
+
+async function digestHeadlines(settings) {
+  if (!settings.headlines) return []
+  const params = { q: '', category: settings.category, country: settings.country, language: settings.language || 'en', page: '0', pageSize: String(settings.headlines * 2) }
+  try {
+    const { payload } = await getNews(params, 'auto')
+    return dedupeArticles(payload.articles || []).slice(0, settings.headlines).map(digestArticle)
+  } catch (err) {
+    console.warn('Digest: headlines unavailable:', err.message || err)
+    return []
+  }
+}
+
+// Newest matches of each saved search published since `from`; searches with nothing new are left out
+async function digestTopics(userId, from) {
+  const searches = await SavedSearch.find({ userId }).sort({ createdAt: 1 }).limit(MAX_TOPICS).lean()
+  const topics = []
+  for (const s of searches) {
+    const params = { q: s.q, category: s.category, country: s.country, language: s.language, page: '0', pageSize: '10' }
+    try {
+      const { payload } = await getNews(params, s.provider || 'auto')
+      const fresh = (payload.articles || []).filter((a) => {
+        const t = new Date(a.time).getTime()
+        return Number.isNaN(t) || t >= from.getTime()
+      })
+      if (fresh.length) topics.push({ name: s.name, articles: fresh.slice(0, ARTICLES_PER_TOPIC).map(digestArticle) })
+    } catch (err) {
+      console.warn(`Digest: saved search ${s._id} unavailable:`, err.message || err)
+    }
+  }
+  return topics
+}
+
+/**
+ * Build a digest for a user as plain data: { user, frequency, period: { from, to }, bookmarks,
+ * headlines, topics, generatedAt }.
+ */
+async function buildDigest(user, settings, now = new Date()) {
+  const to = now
+  const from = new Date(now.getTime() - (settings.frequency === 'weekly' ? 7 : 1) * DAY_MS)
+  const [bookmarks, headlines, topics] = await Promise.all([
+    digestBookmarks(user._id, from, to),
+    digestHeadlines(settings),
+    settings.includeSearches && mongoose.connection.readyState === 1 ? digestTopics(user._id, from) : [],
+  ])
+  return {
+    user: { name: user.name, email: user.email },
+    frequency: settings.frequency,
+    timezone: settings.timezone || 'UTC',
+    period: { from, to },
+    bookmarks,
+    headlines,
+    topics,
+    generatedAt: now,
+  }
+}
+
+function isEmpty(digest) {
+  return !digest.bookmarks.length && !digest.headlines.length && !digest.topics.length
+}
+
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long', month: 'long', day: 'numeric' }).format(date)
+}
+
+function subjectFor(digest) {
+  return `Your ${digest.frequency} news digest for ${localDate(digest.generatedAt, digest.timezone)}`
+}
+
+function savedHeading(digest) {
+  return `Saved ${digest.frequency === 'weekly' ? 'this week' : 'since yesterday'} (${digest.bookmarks.length})`
+}
+
+function mdLink(item) {
+  const title = String(item.title).replace(/([[\]])/g, '\\$1')
+  // parentheses and spaces would end the link target early
+  const url = String(item.url).replace(/[()\s]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+  return item.url ? `[${title}](${url})` : title
+}
+
+function mdItem(item, extra) {
+  const lines = [`- ${mdLink(item)}${item.source ? ` — ${item.source}` : ''}${extra ? ` ${extra}` : ''}`]
+  if (item.summary) lines.push(`  ${item.summary.replace(/\s*\n\s*/g, ' ')}`)
+  return lines.join('\n')
+}
+
+function renderMarkdown(digest) {
+  const out = [`# ${subjectFor(digest)}`, '', `Hi ${digest.user.name},`, '']
+  if (isEmpty(digest)) out.push('Nothing new this time.', '')
+  if (digest.bookmarks.length) {
+    out.push(`## ${savedHeading(digest)}`, '')
+    for (const b of digest.bookmarks) out.push(mdItem(b, b.tags.length ? b.tags.map((t) => `#${t}`).join(' ') : ''))
+    out.push('')
+  }
+  if (digest.headlines.length) {
+    out.push('## Top headlines', '')
+    for (const h of digest.headlines) out.push(mdItem(h))
+    out.push('')
+  }
+  for (const topic of digest.topics) {
+    out.push(`## ${topic.name}`, '')
+    for (const a of topic.articles) out.push(mdItem(a))
+    out.push('')
+  }
+  out.push('---', `Change or turn off this digest in your settings: ${APP_URL.replace(/\/+$/, '')}/settings`)
+  return out.join('\n')
+}
+
+function escapeHtml(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function htmlItem(item, extra) {
+  const title = item.url ? `<a href="${escapeHtml(item.url)}" style="color:#1a56db;text-decoration:none">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)
+  const meta = [item.source, extra].filter(Boolean).map(escapeHtml).join(' · ')
+  return [
+    '<li style="margin:0 0 14px">',
+    `<div style="font-weight:600">${title}</div>`,
+    meta ? `<div style="color:#6b7280;font-size:13px">${meta}</div>` : '',
+    item.summary ? `<div style="margin-top:4px">${escapeHtml(item.summary)}</div>` : '',
+    '</li>',
+  ].join('')
+}
+
+function htmlSection(title, items) {
+  return `<h2 style="font-size:18px;margin:24px 0 8px">${escapeHtml(title)}</h2><ul style="padding-left:18px;margin:0">${items.join('')}</ul>`
+}
+
+function renderHtml(digest) {
+  const sections = []
+  if (digest.bookmarks.length) {
+    sections.push(htmlSection(savedHeading(digest), digest.bookmarks.map((b) => htmlItem(b, b.tags.map((t) => `#${t}`).join(' ')))))
+  }
+  if (digest.headlines.length) sections.push(htmlSection('Top headlines', digest.headlines.map((h) => htmlItem(h))))
+  for (const topic of digest.topics) sections.push(htmlSection(topic.name, topic.articles.map((a) => htmlItem(a))))
+  const subject = subjectFor(digest)
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+    '<body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#111827;max-width:640px;margin:0 auto;padding:16px;line-height:1.45">',
+    `<h1 style="font-size:22px;margin:0 0 12px">${escapeHtml(subject)}</h1>`,
+    `<p>Hi ${escapeHtml(digest.user.name)},</p>`,
+    sections.length ? sections.join('') : '<p>Nothing new this time.</p>',
+    `<p style="color:#6b7280;font-size:12px;margin-top:32px"><a href="${escapeHtml(APP_URL.replace(/\/+$/, ''))}/settings">Change or turn off this digest</a></p>`,
+    '</body></html>',
+  ].join('\n')
+}
+
+/**
+ * Build and mail a digest. Empty digests are not sent; resolves with { sent, digest }.
+ */
+async function sendDigest(user, settings, now = new Date()) {
+  const digest = await buildDigest(user, settings, now)
+  if (isEmpty(digest)) return { sent: false, digest }
+  await sendMail({ to: user.email, subject: subjectFor(digest), text: renderMarkdown(digest), html: renderHtml(digest) })
+  return { sent: true, digest }
+}
+
+// One pass over due digests; exported so it can be triggered manually
+async function tick() {
+  if (running || mongoose.connection.readyState !== 1) return
+  running = true
+  try {
+    const now = new Date()
+    const due = await DigestSettings.find({ enabled: true, nextSendAt: { $lte: now } }).sort({ nextSendAt: 1 }).limit(BATCH_SIZE)
+    for (const settings of due) {
+      try {
+        const user = await storage.findUserById(settings.userId)
+        if (!user) {
+          settings.enabled = false
+          await settings.save()
+          continue
+        }
+        const { sent } = await sendDigest(user, settings, now)
+        if (sent) settings.lastSentAt = now
+        settings.nextSendAt = nextSendAt(settings, now)
+        settings.lastError = ''
+      } catch (err) {
+        console.warn(`Digest: sending to user ${settings.userId} failed:`, err.message || err)
+        settings.lastError = err.message || String(err)
+        settings.nextSendAt = new Date(now.getTime() + RETRY_MS)
+      }
+      await settings.save()
+    }
+  } catch (err) {
+    console.error('Digest: tick failed', err)
+  } finally {
+    running = false
+  }
+}
+
+function start() {
+  if (timer || process.env.DIGESTS === 'off') return
+  timer = setInterval(() => tick(), TICK_MS)
+  timer.unref()
+}
+
+function stop() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = { buildDigest, renderMarkdown, renderHtml, sendDigest, subjectFor, nextSendAt, isValidTimezone, tick, start, stop, MAX_TOPICS }
@@ -0,0 +1,259 @@
+// Readability-style article extraction: metadata from OpenGraph / Twitter cards / JSON-LD,
+// main body from scoring paragraph containers and dropping navigation and boilerplate.
+const { parseHtml, walk, findAll, findFirst, textContent, collapseWhitespace } = require('./html')
+
+// never part of the article body
+const STRIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'nav', 'header', 'footer', 'aside', 'form', 'iframe', 'button', 'svg', 'select', 'input', 'dialog'])
+const UNLIKELY = /banner|breadcrumb|comment|community|consent|cookie|disqus|footer|gdpr|header|menu|modal|nav|newsletter|outbrain|pagination|popup|promo|related|remark|share|shoutbox|sidebar|skip|social|sponsor|subscribe|taboola|tags|tool|widget|advert|\bad-|-ad\b|\bads\b/i
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|story|entry|post/i
+const POSITIVE = /article|body|content|entry|hentry|main|page|post|text|blog|story/i
+const NEGATIVE = /byline|caption|comment|com-|contact|foot|footer|footnote|hidden|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i
+// elements whose text becomes a paragraph of the output
+const BLOCK_TAGS = new Set(['p', 'pre', 'blockquote', 'h2', 'h3', 'h4', 'li'])
+const ARTICLE_TYPES = /^(NewsArticle|Article|ReportageNewsArticle|AnalysisNewsArticle|BlogPosting|Report|WebPage)$/
+
+const MIN_PARAGRAPH_CHARS = 25
+// average adult silent reading speed, for reading-time estimates
+const WORDS_PER_MINUTE = Number(process.env.READING_WPM) || 230
+
+function classAndId(node) {
+  return `${node.attrs.class || ''} ${node.attrs.id || ''}`
+}
+
+function resolveUrl(url, base) {
+  if (!url) return ''
+  try {
+    return new URL(url, base).toString()
+  } catch (e) {
+    return ''
+  }
+}
+
+function toIsoDate(value) {
+  if (!value) return null
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? null : d.toISOString()
+}
+
+function metaTags(root) {
+  const meta = {}
+  for (const node of findAll(root, (n) => n.tag === 'meta')) {
+    const key = (node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase()
+    if (key && node.attrs.content && !(key in meta)) meta[key] = collapseWhitespace(node.attrs.content)
+  }
+  return meta
+}
+
+function personName(value) {
+  if (!value) return ''
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) return value.map(personName).filter(Boolean).join(', ')
+  return value.name || ''
+}
+
+function imageUrl(value) {
+  if (!value) return ''
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) return imageUrl(value[0])
+  return value.url || value.contentUrl || ''
+}
+
+// First JSON-LD object typed as an article, searching arrays and @graph
+function jsonLdArticle(root) {
+  const scripts = findAll(root, (n) => n.tag === 'script' && /ld\+json/i.test(n.attrs.type || ''))
+  let found = null
+  const visit = (obj) => {
+    if (found || !obj || typeof obj !== 'object') return
+    if (Array.isArray(obj)) return obj.forEach(visit)
+    const types = [].concat(obj['@type'] || [])
+    if (types.some((t) => ARTICLE_TYPES.test(t)) && (obj.headline || obj.articleBody || obj.datePublished)) {
+      found = obj
+      return
+    }
+    if (obj['@graph']) visit(obj['@graph'])
+  }
+  for (const script of scripts) {
+    try {
+      visit(JSON.parse(script.children.map((c) => c.text || '').join('').trim()))
+    } catch (e) {
+      // ignore malformed JSON-LD blocks
+    }
+    if (found) break
+  }
+  return found || {}
+}
+
+function extractMetadata(root, baseUrl) {
+  const meta = metaTags(root)
+  const ld = jsonLdArticle(root)
+  const titleNode = findFirst(root, (n) => n.tag === 'title')
+  const h1 = findFirst(root, (n) => n.tag === 'h1')
+  const timeNode = findFirst(root, (n) => n.tag === 'time' && n.attrs.datetime)
+  const bylineNode = findFirst(root, (n) => n.attrs.rel === 'author' || /\b(byline|author)\b/i.test(classAndId(n)))
+  const canonical = findFirst(root, (n) => n.tag === 'link' && /\bcanonical\b/i.test(n.attrs.rel || ''))
+
+  const title =
+    ld.headline || meta['og:title'] || meta['twitter:title'] || (h1 && collapseWhitespace(textContent(h1))) || (titleNode && collapseWhitespace(textContent(titleNode))) || ''
+  const byline =
+    personName(ld.author) || meta.author || meta['article:author'] || meta['parsely-author'] || (bylineNode && collapseWhitespace(textContent(bylineNode))) || ''
+  const publishedAt = toIsoDate(
+    ld.datePublished || meta['article:published_time'] || meta['og:published_time'] || meta.pubdate || meta.date || meta['dc.date'] || (timeNode && timeNode.attrs.datetime)
+  )
+  const siteName = (ld.publisher && personName(ld.publisher)) || meta['og:site_name'] || meta['application-name'] || ''
+  const leadImage = resolveUrl(imageUrl(ld.image) || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl)
+
+  return {
+    title: collapseWhitespace(title),
+    byline: collapseWhitespace(byline).replace(/^by\s+/i, ''),
+    publishedAt,
+    siteName: collapseWhitespace(siteName),
+    leadImage,
+    description: meta['og:description'] || meta['twitter:description'] || meta.description || ld.description || '',
+    canonicalUrl: resolveUrl((canonical && canonical.attrs.href) || meta['og:url'], baseUrl),
+    articleBody: typeof ld.articleBody === 'string' ? ld.articleBody : '',
+  }
+}
+
+// Drop boilerplate subtrees in place before scoring
+function pruneUnlikely(root) {
+  walk(root, (node) => {
+    if (!node.children) return
+    node.children = node.children.filter((child) => {
+      if (!child.tag) return true
+      if (STRIP_TAGS.has(child.tag)) return false
+      if (child.attrs.hidden !== undefined || child.attrs['aria-hidden'] === 'true' || /display\s*:\s*none/i.test(child.attrs.style || '')) return false
+      if (child.attrs.role === 'navigation' || child.attrs.role === 'banner' || child.attrs.role === 'contentinfo') return false
+      const cls = classAndId(child)
+      if (child.tag !== 'body' && child.tag !== 'article' && UNLIKELY.test(cls) && !MAYBE_CANDIDATE.test(cls)) return false
+      return true
+    })
+  })
+}
+
+function linkDensity(node) {
+  const total = collapseWhitespace(textContent(node)).length
+  if (!total) return 0
+  let linked = 0
+  for (const a of findAll(node, (n) => n.tag === 'a')) linked += collapseWhitespace(textContent(a)).length
+  return linked / total
+}
+
+function classWeight(node) {
+  const cls = classAndId(node)
+  let weight = 0
+  if (NEGATIVE.test(cls)) weight -= 25
+  if (POSITIVE.test(cls)) weight += 25
+  if (node.tag === 'article' || node.tag === 'main') weight += 25
+  return weight
+}
+
+// Score containers by the paragraphs they hold; the best one is the article body
+function findTopCandidate(root) {
+  const scores = new Map()
+  const init = (node) => {
+    if (!scores.has(node)) scores.set(node, classWeight(node))
+  }
+  for (const p of findAll(root, (n) => n.tag === 'p' || n.tag === 'pre' || n.tag === 'td')) {
+    const text = collapseWhitespace(textContent(p))
+    if (text.length < MIN_PARAGRAPH_CHARS) continue
+    const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3)
+    const parent = p.parent
+    const grandparent = parent && parent.parent
+    if (parent && parent.tag) {
+      init(parent)
+      scores.set(parent, scores.get(parent) + score)
+    }
+    if (grandparent && grandparent.tag) {
+      init(grandparent)
+      scores.set(grandparent, scores.get(grandparent) + score / 2)
+    }
+  }
+  let top = null
+  let topScore = -Infinity
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node))
+    if (adjusted > topScore) {
+      top = node
+      topScore = adjusted
+    }
+  }
+  return top ? { node: top, score: topScore, scores } : null
+}
+
+function collectParagraphs(containers) {
+  const paragraphs = []
+  const seen = new Set()
+  for (const container of containers) {
+    walk(container, (node) => {
+      if (!node.tag || !BLOCK_TAGS.has(node.tag)) return
+      const text = collapseWhitespace(textContent(node))
+      // a list item is usually a link list unless it reads like a sentence
+      const minChars = node.tag === 'li' ? 60 : node.tag[0] === 'h' ? 1 : MIN_PARAGRAPH_CHARS
+      if (text.length >= minChars && linkDensity(node) < 0.5 && !seen.has(text)) {
+        seen.add(text)
+        paragraphs.push(text)
+      }
+      return false
+    })
+  }
+  // trailing headings without body text after them are usually "Related" style blocks
+  while (paragraphs.length && paragraphs[paragraphs.length - 1].length < MIN_PARAGRAPH_CHARS) paragraphs.pop()
+  return paragraphs
+}
+
+function countWords(text) {
+  if (!text) return 0
+  // scripts written without spaces (CJK, Thai) count one word per character
+  const spaceless = (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/gu) || []).length
+  const spaced = text.replace(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/gu, ' ').split(/\s+/).filter(Boolean).length
+  return spaced + spaceless
+}
+
+// Estimated minutes to read wordCount words at an average silent reading speed; 0 without text
+function readingMinutes(wordCount) {
+  const words = Number(wordCount) || 0
+  return words > 0 ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : 0
+}
+
+// Extract structured article content from an HTML document
+function extractArticle(html, baseUrl) {
+  const root = parseHtml(html)
+  const metadata = extractMetadata(root, baseUrl)
+  pruneUnlikely(root)
+
+  const body = findFirst(root, (n) => n.tag === 'body') || root
+  const candidate = findTopCandidate(body)
+  let containers = [body]
+  if (candidate) {
+    // siblings that scored reasonably well are part of the same article (split layouts)
+    const threshold = Math.max(10, candidate.score * 0.2)
+    const parent = candidate.node.parent
+    containers = parent
+      ? parent.children.filter((sib) => sib === candidate.node || (sib.tag && (candidate.scores.get(sib) || 0) >= threshold))
+      : [candidate.node]
+  }
+
+  let paragraphs = collectParagraphs(containers)
+  if (paragraphs.length === 0 && metadata.articleBody) {
+    paragraphs = metadata.articleBody.split(/\n\s*\n|\r?\n/).map(collapseWhitespace).filter(Boolean)
+  }
+  // the headline often repeats as the first heading of the body
+  if (paragraphs.length && paragraphs[0] === metadata.title) paragraphs.shift()
+
+  const text = paragraphs.join('\n\n')
+  return {
+    title: metadata.title,
+    byline: metadata.byline,
+    publishedAt: metadata.publishedAt,
+    siteName: metadata.siteName,
+    leadImage: metadata.leadImage,
+    description: collapseWhitespace(metadata.description),
+    canonicalUrl: metadata.canonicalUrl,
+    paragraphs,
+    text,
+    wordCount: countWords(text),
+    readingMinutes: readingMinutes(countWords(text)),
+  }
+}
+
+module.exports = { extractArticle, extractMetadata, countWords, readingMinutes }
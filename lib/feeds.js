@@ -0,0 +1,225 @@
+// RSS 2.0, Atom and RSS 1.0 (RDF) feeds as a news source. Items are mapped to the same unified
+// article shape as the API providers in lib/news.js.
+const { parseXml, localName, children, child, text } = require('./xml')
+const { decodeBody, parseHtml, findFirst, textContent, collapseWhitespace } = require('./html')
+const { safeFetch } = require('./safeFetch')
+
+const FEED_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/rdf+xml',
+  'application/xml',
+  'text/xml',
+  'application/feed+xml',
+  'application/x-rss+xml',
+]
+const FEED_TIMEOUT_MS = 8000
+const FEED_MAX_BYTES = 2 * 1024 * 1024
+// per fetchFeeds() call: feeds fetched at once and bytes downloaded across all of them
+const FEED_CONCURRENCY = 5
+const FEEDS_MAX_TOTAL_BYTES = 16 * 1024 * 1024
+const MAX_TRACKED_FEEDS = 500
+const DESCRIPTION_MAX_CHARS = 500
+
+// Server-wide feeds from RSS_FEEDS (comma or whitespace separated URLs)
+function serverFeeds() {
+  return String(process.env.RSS_FEEDS || '')
+    .split(/[\s,]+/)
+    .map((u) => u.trim())
+    .filter(Boolean)
+}
+
+function toIso(value) {
+  if (!value) return ''
+  const d = new Date(String(value).trim())
+  return Number.isNaN(d.getTime()) ? '' : d.toISOString()
+}
+
+function absolute(url, base) {
+  if (!url) return ''
+  try {
+    return new URL(String(url).trim(), base).toString()
+  } catch (e) {
+    return ''
+  }
+}
+
+// Feed descriptions are usually HTML: plain text for the description, first <img> as a fallback image
+function htmlSummary(html) {
+  if (!html) return { text: '', image: '' }
+  const root = parseHtml(html)
+  const img = findFirst(root, (n) => n.tag === 'img' && n.attrs.src)
+  const plain = collapseWhitespace(textContent(root))
+  return { text: plain.length > DESCRIPTION_MAX_CHARS ? `${plain.slice(0, DESCRIPTION_MAX_CHARS - 1)}…` : plain, image: img ? img.attrs.src : '' }
+}
+
+// enclosure / media:content / media:thumbnail / itunes:image, whichever is an image first
+function mediaImage(item) {
+  for (const enc of children(item, 'enclosure')) {
+    if (/^image\//i.test(enc.attrs.type || '') || /\.(jpe?g|png|gif|webp)(\?|$)/i.test(enc.attrs.url || '')) return enc.attrs.url
+  }
+  const groups = [item, ...children(item, 'media:group')]
+  for (const g of groups) {
+    for (const mc of children(g, 'media:content')) {
+      if (mc.attrs.medium === 'image' || /^image\//i.test(mc.attrs.type || '') || (!mc.attrs.medium && !mc.attrs.type && mc.attrs.url)) return mc.attrs.url
+    }
+    const thumb = child(g, 'media:thumbnail')
+    if (thumb && thumb.attrs.url) return thumb.attrs.url
+  }
+  const itunes = child(item, 'itunes:image')
+  return itunes ? itunes.attrs.href || '' : ''
+}
+
+function atomLink(entry) {
+  const links = children(entry, 'link')
+  const alt = links.find((l) => !l.attrs.rel || l.attrs.rel === 'alternate') || links[0]
+  return alt ? alt.attrs.href || text(alt) : ''
+}
+
+function mapItem(fields, feed) {
+  const summary = htmlSummary(fields.html)
+  const url = absolute(fields.link, feed.url)
+  return {
+    id: fields.guid || url || `${feed.url}#${fields.title}`,
+    title: collapseWhitespace(/</.test(fields.title) ? textContent(parseHtml(fields.title)) : fields.title) || 'Untitled',
+    url,
+    source: feed.title || new URL(feed.url).hostname,
+    provider: 'rss',
+    time: toIso(fields.date),
+    description: summary.text,
+    image: absolute(fields.image || summary.image, url || feed.url),
+    original: { feed: feed.url, guid: fields.guid || '', author: collapseWhitespace(fields.author) },
+  }
+}
+
+/**
+ * Parse an RSS 2.0, Atom or RDF document. feedUrl resolves relative links.
+ * Returns { title, link, articles } with articles in the unified shape.
+ */
+function parseFeed(xml, feedUrl) {
+  const doc = parseXml(xml)
+  const top = doc.children.find((c) => c.name)
+  if (!top) throw new Error('Empty feed document')
+  const kind = localName(top)
+
+  if (kind === 'feed') {
+    const feed = { url: feedUrl, title: collapseWhitespace(text(child(top, 'title'))), link: atomLink(top) }
+    const articles = children(top, 'entry').map((e) => {
+      const content = child(e, 'content')
+      const summary = child(e, 'summary')
+      const author = child(e, 'author')
+      return mapItem(
+        {
+          title: text(child(e, 'title')),
+          link: atomLink(e),
+          guid: text(child(e, 'id')).trim(),
+          date: text(child(e, 'published')) || text(child(e, 'updated')),
+          html: text(summary) || text(content),
+          image: mediaImage(e),
+          author: author ? text(child(author, 'name')) : '',
+        },
+        feed
+      )
+    })
+    return { title: feed.title, link: feed.link, articles }
+  }
+
+  if (kind === 'rss' || kind === 'rdf') {
+    const channel = child(top, 'channel') || top
+    const feed = { url: feedUrl, title: collapseWhitespace(text(child(channel, 'title'))), link: text(child(channel, 'link')).trim() }
+    // RSS 2.0 nests items in <channel>; RDF puts them next to it
+    const items = children(channel, 'item').length ? children(channel, 'item') : children(top, 'item')
+    const articles = items.map((it) => {
+      const guid = child(it, 'guid')
+      return mapItem(
+        {
+          title: text(child(it, 'title')),
+          link: text(child(it, 'link')).trim() || (guid && guid.attrs.isPermaLink !== 'false' ? text(guid).trim() : '') || (it.attrs['rdf:about'] || ''),
+          guid: guid ? text(guid).trim() : it.attrs['rdf:about'] || '',
+          date: text(child(it, 'pubDate')) || text(child(it, 'dc:date')) || text(child(it, 'published')),
+          html: text(child(it, 'description')) || text(child(it, 'content:encoded')),
+          image: mediaImage(it),
+          author: text(child(it, 'dc:creator')) || text(child(it, 'author')),
+        },
+        feed
+      )
+    })
+    return { title: feed.title, link: feed.link, articles }
+  }
+
+  throw new Error(`Not a feed (root element <${top.name}>)`)
+}
+
+// Conditional GET state per feed URL: validators plus the last parsed result
+const feedState = new Map()
+
+function remember(url, state) {
+  feedState.delete(url)
+  feedState.set(url, state)
+  while (feedState.size > MAX_TRACKED_FEEDS) feedState.delete(feedState.keys().next().value)
+}
+
+/**
+ * Fetch and parse one feed, sending If-None-Match / If-Modified-Since from the previous fetch
+ * so unchanged feeds answer 304 and are served from memory. opts.maxBytes lowers the size limit.
+ */
+async function fetchFeed(url, opts = {}) {
+  const previous = feedState.get(url)
+  const headers = { Accept: `${FEED_TYPES.join(', ')};q=0.9, */*;q=0.1` }
+  if (previous && previous.etag) headers['If-None-Match'] = previous.etag
+  if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified
+
+  const remote = await safeFetch(url, { timeoutMs: FEED_TIMEOUT_MS, maxBytes: Math.min(FEED_MAX_BYTES, opts.maxBytes || FEED_MAX_BYTES), allowedTypes: FEED_TYPES, headers })
+  if (remote.notModified && previous) {
+    remember(url, { ...previous, checkedAt: Date.now() })
+    return { ...previous.feed, notModified: true, bytes: 0 }
+  }
+  const feed = parseFeed(decodeBody(remote.body, remote.contentType), remote.url)
+  remember(url, {
+    etag: remote.headers.etag || '',
+    lastModified: remote.headers['last-modified'] || '',
+    feed,
+    checkedAt: Date.now(),
+  })
+  return { ...feed, notModified: false, bytes: remote.body ? remote.body.length : 0 }
+}
+
+/**
+ * Fetch several feeds, FEED_CONCURRENCY at a time, and merge their articles. Feeds are URLs or
+ * { url, title }; a title (the name a user gave the feed) replaces the channel's own as the
+ * articles' source. Each fetch reserves its size limit out of FEEDS_MAX_TOTAL_BYTES and gives back
+ * what it didn't use; feeds left when the budget runs out are skipped. Individual feed failures are
+ * reported, not thrown; throws only when every feed failed.
+ */
+async function fetchFeeds(feeds) {
+  const articles = []
+  const failed = []
+  let budget = FEEDS_MAX_TOTAL_BYTES
+  let next = 0
+  const worker = async () => {
+    while (next < feeds.length) {
+      const entry = feeds[next++]
+      const { url, title } = typeof entry === 'string' ? { url: entry, title: '' } : entry
+      const reserved = Math.min(FEED_MAX_BYTES, budget)
+      if (reserved <= 0) {
+        failed.push({ feed: url, error: 'Skipped: download budget for this request used up' })
+        continue
+      }
+      budget -= reserved
+      try {
+        const feed = await fetchFeed(url, { maxBytes: reserved })
+        budget += reserved - Math.min(reserved, feed.bytes)
+        articles.push(...(title ? feed.articles.map((a) => ({ ...a, source: title })) : feed.articles))
+      } catch (err) {
+        // oversized and timed-out downloads may have read up to their limit; keep those reserved
+        if (!err || !['CONTENT_TOO_LARGE', 'TIMEOUT'].includes(err.code)) budget += reserved
+        failed.push({ feed: url, error: (err && err.message) || String(err) })
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(FEED_CONCURRENCY, feeds.length) }, worker))
+  if (feeds.length && failed.length === feeds.length) throw new Error(`All ${feeds.length} RSS feeds failed: ${failed[0].error}`)
+  return { articles, failed }
+}
+
+module.exports = { serverFeeds, parseFeed, fetchFeed, fetchFeeds, FEED_TYPES }
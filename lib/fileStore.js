@@ -0,0 +1,494 @@
+// Storage backend on a local JSON file: the fallback while MongoDB is unreachable and an option for
+// local development (STORAGE_BACKEND=file). The whole file is held in memory and rewritten
+// atomically after changes, so it suits a single process with modest data.
+const fs = require('fs')
+const path = require('path')
+const mongoose = require('mongoose')
+const { readingStats } = require('./reading')
+
+const DATA_FILE = path.resolve(process.env.STORAGE_FILE || path.join('data', 'store.json'))
+const SAVE_DELAY_MS = 100
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/
+const TEXT_WEIGHTS = { title: 10, notes: 5, snapshot: 1 }
+
+let data = null
+let saveTimer = null
+let saving = Promise.resolve()
+
+function emptyData() {
+  return { users: [], sessions: [], bookmarks: [], collections: [] }
+}
+
+function load() {
+  if (data) return data
+  try {
+    const raw = fs.readFileSync(DATA_FILE, 'utf8')
+    data = { ...emptyData(), ...JSON.parse(raw, (key, value) => (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value)) }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`File store: could not read ${DATA_FILE}, starting empty`, err.message)
+    data = emptyData()
+  }
+  return data
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves a truncated store
+function writeNow() {
+  const body = JSON.stringify(data)
+  saving = saving
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true })
+      const tmp = `${DATA_FILE}.${process.pid}.tmp`
+      await fs.promises.writeFile(tmp, body)
+      await fs.promises.rename(tmp, DATA_FILE)
+    })
+    .catch((err) => console.error('File store: save failed', err))
+  return saving
+}
+
+function scheduleSave() {
+  if (saveTimer) return
+  saveTimer = setTimeout(() => {
+    saveTimer = null
+    writeNow()
+  }, SAVE_DELAY_MS)
+}
+
+// Flush pending changes, e.g. before shutting down
+async function flush() {
+  if (saveTimer) {
+    clearTimeout(saveTimer)
+    saveTimer = null
+    await writeNow()
+  }
+  await saving
+}
+
+// Everything in the store, e.g. to copy it into MongoDB
+async function exportData() {
+  await flush()
+  return clone(load())
+}
+
+// Move the file aside (kept as a backup) and start empty, once its records live elsewhere
+async function archive() {
+  await flush()
+  const backup = `${DATA_FILE}.${Date.now()}.imported`
+  try {
+    await fs.promises.rename(DATA_FILE, backup)
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  data = emptyData()
+  return backup
+}
+
+function newId() {
+  return new mongoose.Types.ObjectId().toString()
+}
+
+function clone(doc) {
+  return doc ? structuredClone(doc) : null
+}
+
+function same(a, b) {
+  return String(a) === String(b)
+}
+
+function insert(collection, fields) {
+  const now = new Date()
+  const doc = { _id: newId(), ...fields, createdAt: now, updatedAt: now }
+  load()[collection].push(doc)
+  scheduleSave()
+  return doc
+}
+
+function touch(doc) {
+  doc.updatedAt = new Date()
+  scheduleSave()
+}
+
+// Users
+
+async function findUserByEmail(email) {
+  return clone(load().users.find((u) => u.email === email))
+}
+
+async function findUserById(id) {
+  return clone(load().users.find((u) => same(u._id, id)))
+}
+
+async function createUser({ name, email, passwordHash }) {
+  if (load().users.some((u) => u.email === email)) throw new Error('User already exists')
+  return clone(insert('users', { name, email, passwordHash }))
+}
+
+async function updateUserPassword(id, passwordHash) {
+  const user = load().users.find((u) => same(u._id, id))
+  if (!user) return
+  user.passwordHash = passwordHash
+  touch(user)
+}
+
+async function setFeedToken(id, tokenHash) {
+  const user = load().users.find((u) => same(u._id, id))
+  if (!user) return
+  if (tokenHash) {
+    user.feedTokenHash = tokenHash
+    user.feedTokenCreatedAt = new Date()
+  } else {
+    delete user.feedTokenHash
+    delete user.feedTokenCreatedAt
+  }
+  touch(user)
+}
+
+async function findUserByFeedToken(tokenHash) {
+  return clone(load().users.find((u) => u.feedTokenHash === tokenHash))
+}
+
+// Sessions (refresh tokens); expired ones are dropped whenever a new one is created
+
+async function createSession(fields) {
+  const now = new Date()
+  const db = load()
+  db.sessions = db.sessions.filter((s) => s.expiresAt > now)
+  return clone(insert('sessions', { revokedAt: null, userAgent: '', ip: '', ...fields, userId: String(fields.userId) }))
+}
+
+async function findSessionByHash(tokenHash) {
+  return clone(load().sessions.find((s) => s.tokenHash === tokenHash))
+}
+
+async function claimSession(id) {
+  const session = load().sessions.find((s) => same(s._id, id) && !s.revokedAt)
+  if (!session) return null
+  session.revokedAt = new Date()
+  touch(session)
+  return clone(session)
+}
+
+async function revokeSessionFamily(family) {
+  for (const s of load().sessions) {
+    if (s.family === family && !s.revokedAt) {
+      s.revokedAt = new Date()
+      touch(s)
+    }
+  }
+}
+
+async function revokeUserSessions(userId, exceptFamily) {
+  let count = 0
+  for (const s of load().sessions) {
+    if (same(s.userId, userId) && !s.revokedAt && s.family !== exceptFamily) {
+      s.revokedAt = new Date()
+      touch(s)
+      count++
+    }
+  }
+  return count
+}
+
+// Bookmarks
+
+function userBookmarks(userId) {
+  return load().bookmarks.filter((b) => same(b.userId, userId))
+}
+
+function withoutSnapshotText(b) {
+  const copy = clone(b)
+  if (copy.snapshot) delete copy.snapshot.text
+  return copy
+}
+
+function compareValues(a, b) {
+  const x = a instanceof Date ? a.getTime() : a
+  const y = b instanceof Date ? b.getTime() : b
+  if (x < y) return -1
+  if (x > y) return 1
+  return 0
+}
+
+async function listBookmarks(userId, query) {
+  const { sort } = query
+  const from = query.from ? query.from.getTime() : null
+  const to = query.to ? query.to.getTime() : null
+  const list = userBookmarks(userId).filter((b) => {
+    if (query.collectionId !== undefined && !same(b.collectionId, query.collectionId)) return false
+    if (query.tags && query.tags.length && !query.tags.every((t) => (b.tags || []).includes(t))) return false
+    if (query.source && b.source !== query.source) return false
+    if (query.statuses && query.statuses.length && !query.statuses.includes(b.status || 'unread')) return false
+    const saved = new Date(b.savedAt).getTime()
+    if (from !== null && saved < from) return false
+    if (to !== null && saved > to) return false
+    if (query.after) {
+      const c = compareValues(b[sort.field], query.after.value) || compareValues(String(b._id), String(query.after.id))
+      if (c * sort.dir <= 0) return false
+    }
+    return true
+  })
+  list.sort((a, b) => (compareValues(a[sort.field], b[sort.field]) || compareValues(String(a._id), String(b._id))) * sort.dir)
+  return list.slice(0, query.limit).map(query.withText ? clone : withoutSnapshotText)
+}
+
+// A small stand-in for Mongo's $text: OR over words (with a crude suffix match), "phrases" and
+// -negations must match, and fields are weighted like the bookmark_text index
+function parseTextQuery(q) {
+  const phrases = []
+  const phraseRe = /"([^"]+)"/g
+  let m
+  while ((m = phraseRe.exec(q))) phrases.push(m[1].trim().toLowerCase())
+  const words = []
+  const negated = []
+  for (const token of q.replace(phraseRe, ' ').toLowerCase().split(/\s+/)) {
+    const word = token.replace(/^-/, '').replace(/[^\p{L}\p{N}]/gu, '')
+    if (!word) continue
+    if (token.startsWith('-')) negated.push(word)
+    else words.push(word.length > 4 ? word.replace(/(es|s|ed|ing)$/, '') : word)
+  }
+  return { phrases, words, negated }
+}
+
+function countMatches(text, term) {
+  let count = 0
+  let i = text.indexOf(term)
+  while (i !== -1) {
+    count++
+    i = text.indexOf(term, i + term.length)
+  }
+  return count
+}
+
+async function searchBookmarks(userId, q, limit) {
+  const { phrases, words, negated } = parseTextQuery(q)
+  const results = []
+  for (const b of userBookmarks(userId)) {
+    const fields = { title: b.title || '', notes: b.notes || '', snapshot: (b.snapshot && b.snapshot.text) || '' }
+    const all = Object.values(fields).join('\n').toLowerCase()
+    if (phrases.some((p) => !all.includes(p)) || negated.some((n) => all.includes(n))) continue
+    let score = 0
+    for (const [field, text] of Object.entries(fields)) {
+      const lower = text.toLowerCase()
+      for (const term of [...words, ...phrases]) score += TEXT_WEIGHTS[field] * countMatches(lower, term)
+    }
+    if (score > 0) results.push({ ...clone(b), score })
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit)
+}
+
+async function allBookmarks(userId) {
+  return userBookmarks(userId)
+    .sort((a, b) => compareValues(a.createdAt, b.createdAt))
+    .map((b) => {
+      const copy = clone(b)
+      delete copy.snapshot
+      return copy
+    })
+}
+
+async function findBookmark(userId, id) {
+  return clone(userBookmarks(userId).find((b) => same(b._id, id)))
+}
+
+async function findBookmarkByUrl(userId, url) {
+  return clone(userBookmarks(userId).find((b) => b.url === url))
+}
+
+async function findBookmarkUrls(userId, urls) {
+  const wanted = new Set(urls)
+  return [...new Set(userBookmarks(userId).filter((b) => wanted.has(b.url)).map((b) => b.url))]
+}
+
+async function createBookmark(fields) {
+  return clone(
+    insert('bookmarks', {
+      source: '',
+      notes: '',
+      tags: [],
+      snapshot: null,
+      status: 'unread',
+      progress: 0,
+      startedAt: null,
+      readAt: null,
+      archivedAt: null,
+      ...fields,
+      userId: String(fields.userId),
+      savedAt: fields.savedAt ? new Date(fields.savedAt) : new Date(),
+      collectionId: fields.collectionId ? String(fields.collectionId) : null,
+    })
+  )
+}
+
+// Same contract as the Mongo store's batch insert; nothing here can fail per item
+async function createBookmarks(list) {
+  const results = []
+  for (const fields of list) results.push({ bookmark: await createBookmark(fields) })
+  return results
+}
+
+async function updateBookmark(userId, id, fields) {
+  const b = userBookmarks(userId).find((x) => same(x._id, id))
+  if (!b) return null
+  Object.assign(b, fields)
+  if ('collectionId' in fields) b.collectionId = fields.collectionId ? String(fields.collectionId) : null
+  touch(b)
+  return clone(b)
+}
+
+async function deleteBookmark(userId, id) {
+  const db = load()
+  const index = db.bookmarks.findIndex((b) => same(b.userId, userId) && same(b._id, id))
+  if (index === -1) return false
+  db.bookmarks.splice(index, 1)
+  scheduleSave()
+  return true
+}
+
+async function setSnapshot(id, snapshot) {
+  const b = load().bookmarks.find((x) => same(x._id, id))
+  if (!b) return
+  b.snapshot = snapshot
+  touch(b)
+}
+
+async function tagBookmarks(userId, ids, add, remove) {
+  const wanted = new Set(ids.map(String))
+  let modified = 0
+  for (const b of userBookmarks(userId)) {
+    if (!wanted.has(String(b._id))) continue
+    const before = JSON.stringify(b.tags)
+    const tags = (b.tags || []).filter((t) => !remove.includes(t))
+    for (const t of add) if (!tags.includes(t)) tags.push(t)
+    b.tags = tags
+    if (JSON.stringify(tags) !== before) {
+      touch(b)
+      modified++
+    }
+  }
+  return modified
+}
+
+async function moveBookmarks(userId, ids, collectionId) {
+  const wanted = new Set(ids.map(String))
+  const target = collectionId ? String(collectionId) : null
+  let modified = 0
+  for (const b of userBookmarks(userId)) {
+    if (!wanted.has(String(b._id)) || b.collectionId === target) continue
+    b.collectionId = target
+    touch(b)
+    modified++
+  }
+  return modified
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map()
+  for (const item of items) {
+    for (const key of keyOf(item)) counts.set(key, (counts.get(key) || 0) + 1)
+  }
+  return [...counts]
+}
+
+async function bookmarkStats(userId, options = {}) {
+  const list = userBookmarks(userId)
+  const names = new Map(load().collections.filter((c) => same(c.userId, userId)).map((c) => [String(c._id), c.name]))
+  const bySource = countBy(list, (b) => [b.source === undefined ? null : b.source])
+    .map(([source, count]) => ({ source, count }))
+    .sort((a, b) => b.count - a.count)
+  const byTag = countBy(list, (b) => b.tags || [])
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || compareValues(a.tag, b.tag))
+  const byCollection = countBy(list, (b) => [b.collectionId || null])
+    .map(([collectionId, count]) => ({ collectionId, name: (collectionId && names.get(collectionId)) || null, count }))
+    .sort((a, b) => b.count - a.count)
+  return { total: list.length, bySource, byTag, byCollection, reading: readingStats(list, options) }
+}
+
+// Collections
+
+function userCollections(userId) {
+  return load().collections.filter((c) => same(c.userId, userId))
+}
+
+async function listCollections(userId) {
+  const bookmarks = userBookmarks(userId)
+  return userCollections(userId)
+    .sort((a, b) => compareValues(a.name, b.name))
+    .map((c) => ({ ...clone(c), count: bookmarks.filter((b) => same(b.collectionId, c._id)).length }))
+}
+
+async function findCollection(userId, id) {
+  return clone(userCollections(userId).find((c) => same(c._id, id)))
+}
+
+async function findCollectionByName(userId, name) {
+  return clone(userCollections(userId).find((c) => c.name === name))
+}
+
+async function createCollection(fields) {
+  if (userCollections(fields.userId).some((c) => c.name === fields.name)) throw new Error('Collection already exists')
+  return clone(insert('collections', { description: '', ...fields, userId: String(fields.userId) }))
+}
+
+async function updateCollection(userId, id, fields) {
+  const c = userCollections(userId).find((x) => same(x._id, id))
+  if (!c) return null
+  Object.assign(c, fields)
+  touch(c)
+  return clone(c)
+}
+
+async function deleteCollection(userId, id) {
+  const db = load()
+  const index = db.collections.findIndex((c) => same(c.userId, userId) && same(c._id, id))
+  if (index === -1) return null
+  db.collections.splice(index, 1)
+  scheduleSave()
+  let unfiled = 0
+  for (const b of userBookmarks(userId)) {
+    if (same(b.collectionId, id)) {
+      b.collectionId = null
+      touch(b)
+      unfiled++
+    }
+  }
+  return unfiled
+}
+
+module.exports = {
+  name: 'file',
+  file: DATA_FILE,
+  flush,
+  exportData,
+  archive,
+  findUserByEmail,
+  findUserById,
+  createUser,
+  updateUserPassword,
+  setFeedToken,
+  findUserByFeedToken,
+  createSession,
+  findSessionByHash,
+  claimSession,
+  revokeSessionFamily,
+  revokeUserSessions,
+  listBookmarks,
+  searchBookmarks,
+  allBookmarks,
+  findBookmark,
+  findBookmarkByUrl,
+  findBookmarkUrls,
+  createBookmark,
+  createBookmarks,
+  updateBookmark,
+  deleteBookmark,
+  setSnapshot,
+  tagBookmarks,
+  moveBookmarks,
+  bookmarkStats,
+  listCollections,
+  findCollection,
+  findCollectionByName,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+}
@@ -0,0 +1,212 @@
+// Small, forgiving HTML parser and text helpers used for article extraction.
+// It builds a plain tree of { tag, attrs, children, parent } / { text, parent } nodes;
+// it is not a spec-compliant parser, just enough structure to score content blocks.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'])
+// contents are kept verbatim (JSON-LD lives in <script>)
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template'])
+// opening one of these implicitly closes an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+])
+// a new <li> closes the previous one, and so on
+const SELF_CLOSING_SIBLINGS = { li: ['li'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'], option: ['option'] }
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad',
+  iexcl: '¡', cent: '¢', pound: '£', curren: '¤', yen: '¥', brvbar: '¦', sect: '§', uml: '¨', copy: '©', ordf: 'ª', laquo: '«',
+  not: '¬', reg: '®', macr: '¯', deg: '°', plusmn: '±', sup2: '²', sup3: '³', acute: '´', micro: 'µ', para: '¶', middot: '·',
+  cedil: '¸', sup1: '¹', ordm: 'º', raquo: '»', frac14: '¼', frac12: '½', frac34: '¾', iquest: '¿', times: '×', divide: '÷',
+  Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä', Aring: 'Å', AElig: 'Æ', Ccedil: 'Ç', Egrave: 'È', Eacute: 'É',
+  Ecirc: 'Ê', Euml: 'Ë', Igrave: 'Ì', Iacute: 'Í', Icirc: 'Î', Iuml: 'Ï', ETH: 'Ð', Ntilde: 'Ñ', Ograve: 'Ò', Oacute: 'Ó',
+  Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö', Oslash: 'Ø', Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü', Yacute: 'Ý', THORN: 'Þ',
+  szlig: 'ß', agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ', ccedil: 'ç', egrave: 'è',
+  eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î', iuml: 'ï', eth: 'ð', ntilde: 'ñ', ograve: 'ò',
+  oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö', oslash: 'ø', ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý',
+  thorn: 'þ', yuml: 'ÿ', OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e', rlm: '\u200f',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', dagger: '†', Dagger: '‡',
+  bull: '•', hellip: '…', permil: '‰', prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', oline: '‾', frasl: '⁄', euro: '€',
+  trade: '™', larr: '←', uarr: '↑', rarr: '→', darr: '↓', harr: '↔', minus: '−', le: '≤', ge: '≥', ne: '≠', infin: '∞',
+  Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', pi: 'π', mu: 'μ', sigma: 'σ',
+}
+
+// Decode named, decimal and hex character references
+function decodeEntities(str) {
+  if (!str || str.indexOf('&') === -1) return str || ''
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);?/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10)
+      if (!Number.isFinite(code) || code <= 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '�'
+      return String.fromCodePoint(code)
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : m
+  })
+}
+
+function parseAttrs(src) {
+  const attrs = {}
+  const re = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+  let m
+  while ((m = re.exec(src))) {
+    const name = m[1].toLowerCase()
+    if (name in attrs) continue
+    const value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : ''
+    attrs[name] = decodeEntities(value)
+  }
+  return attrs
+}
+
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null }
+  const stack = [root]
+  const current = () => stack[stack.length - 1]
+  const appendText = (text) => {
+    if (!text) return
+    current().children.push({ text: decodeEntities(text), parent: current() })
+  }
+  const closeTag = (tag) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i
+        return
+      }
+    }
+  }
+
+  const tagRe = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g
+  let last = 0
+  let m
+  while ((m = tagRe.exec(html))) {
+    appendText(html.slice(last, m.index))
+    last = tagRe.lastIndex
+    if (m[1]) {
+      closeTag(m[1].toLowerCase())
+      continue
+    }
+    if (!m[2]) continue // comment, doctype or processing instruction
+
+    const tag = m[2].toLowerCase()
+    const attrs = parseAttrs(m[3] || '')
+    if (current().tag === 'p' && CLOSES_P.has(tag)) stack.pop()
+    const siblings = SELF_CLOSING_SIBLINGS[tag]
+    if (siblings && siblings.includes(current().tag)) stack.pop()
+
+    const node = { tag, attrs, children: [], parent: current() }
+    current().children.push(node)
+    if (VOID_TAGS.has(tag) || /\/\s*$/.test(m[3] || '')) continue
+
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const endRe = new RegExp(`</${tag}\\s*>`, 'ig')
+      endRe.lastIndex = last
+      const end = endRe.exec(html)
+      const raw = html.slice(last, end ? end.index : html.length)
+      if (raw) node.children.push({ text: tag === 'title' || tag === 'textarea' ? decodeEntities(raw) : raw, parent: node })
+      last = end ? endRe.lastIndex : html.length
+      tagRe.lastIndex = last
+      continue
+    }
+    stack.push(node)
+  }
+  appendText(html.slice(last))
+  return root
+}
+
+// Depth-first walk; return false from visit to skip a node's children
+function walk(node, visit) {
+  if (visit(node) === false || !node.children) return
+  for (const child of node.children) walk(child, visit)
+}
+
+function findAll(node, predicate) {
+  const out = []
+  walk(node, (n) => {
+    if (n.tag && predicate(n)) out.push(n)
+  })
+  return out
+}
+
+function findFirst(node, predicate) {
+  let found = null
+  walk(node, (n) => {
+    if (found) return false
+    if (n.tag && predicate(n)) {
+      found = n
+      return false
+    }
+  })
+  return found
+}
+
+const SKIP_TEXT_TAGS = new Set(['script', 'style', 'noscript', 'template'])
+
+function textContent(node) {
+  if (node.text !== undefined) return node.text
+  if (SKIP_TEXT_TAGS.has(node.tag)) return ''
+  let out = ''
+  for (const child of node.children) {
+    out += textContent(child)
+    if (child.tag === 'br') out += '\n'
+  }
+  return out
+}
+
+function collapseWhitespace(str) {
+  return String(str || '').replace(/\s+/g, ' ').trim()
+}
+
+// Pick the document charset: Content-Type header, then BOM, then <meta> or the XML declaration in the first few KB
+function detectCharset(buffer, contentType) {
+  const header = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '')
+  if (header) return header[1].toLowerCase()
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8'
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le'
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be'
+  const head = buffer.subarray(0, 4096).toString('latin1')
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head) || /^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head)
+  if (meta) return meta[1].toLowerCase()
+  return 'utf-8'
+}
+
+// windows-1252 code points for bytes 0x80-0x9f (undefined bytes stay as-is)
+const CP1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178,
+]
+// labels the Encoding Standard maps to windows-1252
+const CP1252_LABELS = new Set(['windows-1252', 'cp1252', 'x-cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'l1', 'us-ascii', 'ascii', 'ansi_x3.4-1968'])
+
+// Node's TextDecoder treats windows-1252 as plain latin1, which loses curly quotes and dashes
+function decodeCp1252(buffer) {
+  let out = ''
+  for (let i = 0; i < buffer.length; i++) {
+    const b = buffer[i]
+    out += String.fromCharCode(b >= 0x80 && b <= 0x9f ? CP1252_HIGH[b - 0x80] : b)
+  }
+  return out
+}
+
+// Decode a response body in its declared charset, falling back to UTF-8 for unknown labels
+function decodeBody(buffer, contentType) {
+  const charset = detectCharset(buffer, contentType)
+  if (CP1252_LABELS.has(charset)) return decodeCp1252(buffer)
+  try {
+    return new TextDecoder(charset).decode(buffer)
+  } catch (err) {
+    return new TextDecoder('utf-8').decode(buffer)
+  }
+}
+
+module.exports = {
+  decodeEntities,
+  parseAttrs,
+  parseHtml,
+  walk,
+  findAll,
+  findFirst,
+  textContent,
+  collapseWhitespace,
+  detectCharset,
+  decodeBody,
+}
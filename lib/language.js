@@ -0,0 +1,179 @@
+// Language detection, stopwords and Unicode-aware sentence/word segmentation for the summarizer
+
+const STOPWORDS = {
+  en:
+    'a about above after again against all also am among an and any are around as at be because been before being below between both but by can could did do does ' +
+    'doing down during each even ever every few for from further had has have having he her here hers herself him himself his how however i if in into is it its ' +
+    'itself just last least less like made make many may me might more most much must my near need new no nor not now of off on once one only or other our ours ' +
+    'ourselves out over own per said same says she should since so some still such than that the their theirs them themselves then there these they this those ' +
+    'though through to too under until up upon very was way we well were what when where which while who whom whose why will with within without would yet you ' +
+    'your yours yourself yourselves year years told according',
+  de:
+    'aber alle allem allen aller alles als also am an ander andere anderen auch auf aus bei bin bis bist da damit dann das dass dem den denn der des dich die dies ' +
+    'diese diesem diesen dieser dieses doch dort du durch ein eine einem einen einer eines er es etwas euch für gegen gewesen hab habe haben hat hatte hier hin ' +
+    'hinter ich ihm ihn ihnen ihr ihre im in indem ins ist jede jedem jeden jeder jedes jetzt kann kein keine können man mehr mein mich mir mit muss nach nicht ' +
+    'nichts noch nun nur ob oder ohne sehr sein seine sich sie sind so soll sollte sondern über um und uns unser unter viel vom von vor war waren warum was weil ' +
+    'welche wenn wer werden wie wieder will wir wird wurde wurden zu zum zur zwischen sagte laut jahr jahren',
+  fr:
+    'au aux avec ce ces cette dans de des du elle elles en est et été être eu il ils je la le les leur leurs lui ma mais me même mes moi mon ne nos notre nous on ' +
+    'ont ou par pas plus pour qu que qui sa sans se ses son sont sur ta te tes toi ton tous tout toute toutes très tu un une vos votre vous était avait ainsi ' +
+    'alors après aussi autre avant bien car comme contre depuis donc dont encore entre fait faire leurs lors où peu peut quand selon sous tandis cela ceci ans',
+  es:
+    'al algo algunos ante antes como con contra cual cuando de del desde donde durante e el ella ellas ellos en entre era es esa esas ese eso esos esta estaba ' +
+    'estado estas este esto estos fue fueron ha había han hasta hay la las le les lo los más me mi muy nada ni no nos nosotros o os otra otro para pero poco por ' +
+    'porque que quien se sea según ser si sido sin sobre son su sus también tanto te tiene tienen todo todos tu un una uno unos y ya años dijo',
+  it:
+    'a ad al alla alle allo agli ai anche che chi ci come con contro cui da dal dalla dalle degli dei del della delle dello di dopo e ed era erano essere gli ha ' +
+    'hanno ho il in io la le lei li lo loro lui ma mi mia mio molto ne nei nel nella nelle noi non nostro o per perché più poi quale quando quella quello questa ' +
+    'questo se sei si sia siamo sono su sua sue sui sul sulla suo tra tu tutti tutto un una uno voi anni detto',
+  pt:
+    'a ao aos as até com como da das de dela dele deles depois do dos e ela elas ele eles em entre era essa esse esta este eu foi foram há isso isto já lhe mais ' +
+    'mas me mesmo muito na nas nem no nos nós o os ou para pela pelas pelo pelos por qual quando que quem se sem ser seu seus sua suas também te tem têm um uma ' +
+    'umas uns você anos disse segundo',
+  nl:
+    'aan al alles als altijd andere ben bij daar dan dat de der deze die dit doch doen door dus een eens en er ge geen geweest haar had heb hebben heeft hem het ' +
+    'hier hij hoe hun iemand iets ik in is ja je kan kon kunnen maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat ons ook op over reeds te ' +
+    'tegen toch toen tot u uit uw van veel voor want waren was wat we wel werd wezen wie wij wil worden zal ze zei zelf zich zij zijn zo zonder zou jaar',
+  ru:
+    'а без более бы был была были было быть в вам вас весь во вот все всего всех вы где да даже для до его ее если есть еще же за здесь и из или им их к как ' +
+    'когда кто ли либо мне может мы на над надо не него нее нет ни них но ну о об однако он она они оно от очень по под при с со так также такой там те тем то ' +
+    'того тоже той только том ты у уже хотя чего чей чем что чтобы чье эта эти это я года году заявил',
+  hi:
+    'अत अपना अपनी अपने अभी आदि आप इत्यादि इन इनका इन्हीं इन्हें इन्हों इस इसका इसकी इसके इसमें इसी इसे उन उनका उनकी उनके उनको उन्हीं उन्हें उन्हों उस उसके उसी उसे एक एवं ' +
+    'एस ऐसे और कई कर करता करते करना करने करें कहते कहा का काफ़ी कि कितना किन्हें किन्हों किया किर किस किसी किसे की कुछ कुल के को कोई कौन कौनसा गया घर जब जहाँ ' +
+    'जा जितना जिन जिन्हें जिन्हों जिस जिसे जीधर जैसा जैसे जो तक तब तरह तिन तिन्हें तिन्हों तिस तिसे तो था थी थे दबारा दिया दुसरा दूसरे दो द्वारा न नहीं ना निहायत ' +
+    'नीचे ने पर पहले पूरा पे फिर बनी बही बहुत बाद बाला बिलकुल भी भीतर मगर मानो मे में यदि यह यहाँ यही या यिह ये रखें रहा रहे ऱ्वासा लिए लिये लेकिन व वर्ग वह ' +
+    'वहाँ वहीं वाले वुह वे वग़ैरह संग सकता सकते सबसे सभी साथ साबुत साभ सारा से सो ही हुआ हुई हुए है हैं हो होता होती होते होना होने',
+  ar:
+    'في من على إلى عن مع هذا هذه ذلك التي الذي الذين كان كانت يكون أن إن أو ثم قد لا لم لن ما ماذا هل هو هي هم نحن أنت كل بعض بين حتى عند غير بعد قبل ' +
+    'منذ خلال حيث كما أيضا وقد وفي وهو وهي ومن وأن وكان لكن إذا أي ولا به بها له لها فيه فيها عليه عليها إليه منها منه تم يتم وقال قال',
+  zh:
+    '的 了 和 是 在 我 有 他 这 中 也 就 人 都 一 一个 上 们 到 说 要 去 你 会 着 没有 看 好 自己 之 与 及 而 或 但 被 把 对 从 向 为 以 其 并 等 该 此 已 将 所 于 ' +
+    '这个 那个 我们 他们 她们 它们 因为 所以 如果 但是 可以 已经 表示 进行',
+  ja:
+    'の に は を た が で て と し れ さ ある いる も する から な こと として い や れる など なっ ない この ため その あっ よう また もの という あり まで られ なる へ か ' +
+    'だ これ によって により おり より による ず なり られる において ば なかっ なく しかし について せ だっ その後 できる それ う ので なお のみ でき き つ における および',
+}
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, list]) => [lang, new Set(list.split(/\s+/))]))
+
+// languages written without spaces between words: phrases are joined without a separator
+const SPACELESS = new Set(['zh', 'ja', 'th'])
+// in alphabets with short function words, tokens shorter than this are ignored
+const MIN_TOKEN_LENGTH = { en: 3, de: 3, fr: 3, es: 3, it: 3, pt: 3, nl: 3, ru: 3 }
+
+const SCRIPT_LANGS = [
+  [/\p{Script=Hiragana}|\p{Script=Katakana}/gu, 'ja'],
+  [/\p{Script=Hangul}/gu, 'ko'],
+  [/\p{Script=Han}/gu, 'zh'],
+  [/\p{Script=Devanagari}/gu, 'hi'],
+  [/\p{Script=Bengali}/gu, 'bn'],
+  [/\p{Script=Tamil}/gu, 'ta'],
+  [/\p{Script=Arabic}/gu, 'ar'],
+  [/\p{Script=Hebrew}/gu, 'he'],
+  [/\p{Script=Cyrillic}/gu, 'ru'],
+  [/\p{Script=Greek}/gu, 'el'],
+  [/\p{Script=Thai}/gu, 'th'],
+]
+
+const LATIN_LANGS = ['en', 'de', 'fr', 'es', 'it', 'pt', 'nl']
+
+function normalizeLang(lang) {
+  if (!lang) return ''
+  return String(lang).trim().toLowerCase().split(/[-_]/)[0]
+}
+
+/**
+ * Guess the language of a text: the dominant non-Latin script decides directly, otherwise the
+ * Latin-script language whose stopwords cover most of the words. Falls back to 'en'.
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, 5000)
+  const letters = (sample.match(/\p{L}/gu) || []).length
+  if (!letters) return 'en'
+
+  // kana outranks Han so Japanese isn't mistaken for Chinese
+  for (const [re, lang] of SCRIPT_LANGS) {
+    const count = (sample.match(re) || []).length
+    if (count / letters > (lang === 'ja' ? 0.05 : 0.3)) {
+      if (lang === 'ar') {
+        if (/[ےںٹڈڑ]/.test(sample)) return 'ur'
+        if (/[پچژگ]/.test(sample)) return 'fa'
+      }
+      return lang
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || []
+  let best = 'en'
+  let bestHits = 0
+  for (const lang of LATIN_LANGS) {
+    const set = STOPWORD_SETS[lang]
+    let hits = 0
+    for (const w of words) if (set.has(w)) hits++
+    if (hits > bestHits) {
+      best = lang
+      bestHits = hits
+    }
+  }
+  return best
+}
+
+// Sentence boundaries: Latin ./!/? need trailing whitespace ("3.5", "e.g." mid-token stay intact);
+// CJK 。！？, Devanagari danda । ॥ and Arabic/Urdu ؟ ۔ end a sentence on their own
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?…]["'”’)\]]?)\s+|(?<=[。！？；][」』”）]?)|(?<=[।॥۔؟])\s*|\n\s*\n/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+}
+
+const segmenters = new Map()
+
+function segmenterFor(lang) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null
+  if (!segmenters.has(lang)) {
+    let seg = null
+    try {
+      seg = new Intl.Segmenter(lang || undefined, { granularity: 'word' })
+    } catch (e) {
+      seg = new Intl.Segmenter(undefined, { granularity: 'word' })
+    }
+    segmenters.set(lang, seg)
+  }
+  return segmenters.get(lang)
+}
+
+// Lowercased words in reading order, stopwords included. Uses ICU word segmentation where
+// available, which also splits Chinese/Japanese/Thai text that has no spaces.
+function words(text, lang) {
+  const normalized = String(text || '').normalize('NFKC').toLowerCase()
+  const seg = segmenterFor(lang)
+  if (seg) {
+    const out = []
+    for (const part of seg.segment(normalized)) if (part.isWordLike) out.push(part.segment)
+    return out
+  }
+  return normalized.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu) || []
+}
+
+function isStopword(word, lang) {
+  const set = STOPWORD_SETS[lang]
+  return Boolean(set && set.has(word))
+}
+
+// Content words: no stopwords, no bare numbers, nothing shorter than the language's minimum
+function contentWords(text, lang) {
+  const min = MIN_TOKEN_LENGTH[lang] || 2
+  return words(text, lang).filter((w) => [...w].length >= min && !isStopword(w, lang) && !/^\p{N}+$/u.test(w))
+}
+
+function phraseSeparator(lang) {
+  return SPACELESS.has(lang) ? '' : ' '
+}
+
+function isSupported(lang) {
+  return Boolean(STOPWORD_SETS[lang])
+}
+
+module.exports = { detectLanguage, normalizeLang, splitSentences, words, contentWords, isStopword, phraseSeparator, isSupported }
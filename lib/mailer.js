@@ -0,0 +1,52 @@
+// Outgoing mail behind a pluggable transport. MAIL_TRANSPORT picks a built-in one:
+//   console - print the message (default outside production)
+//   file    - write each message as JSON into MAIL_DIR (handy for tests)
+// Other transports (SMTP, an email API) are plugged in with registerTransport(name, send).
+const fs = require('fs')
+const path = require('path')
+
+const MAIL_FROM = process.env.MAIL_FROM || 'News Dashboard <no-reply@localhost>'
+
+const transports = {
+  console: async (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`)
+    return { id: `console-${Date.now()}` }
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail')
+    await fs.promises.mkdir(dir, { recursive: true })
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2))
+    return { id }
+  },
+}
+
+let active = null
+
+function registerTransport(name, send) {
+  if (typeof send !== 'function') throw new TypeError('Mail transport must be a function')
+  transports[name] = send
+}
+
+// Use a registered transport by name, or pass a send function directly
+function setTransport(nameOrSend) {
+  active = nameOrSend
+}
+
+function currentTransport() {
+  const choice = active || process.env.MAIL_TRANSPORT || 'console'
+  if (typeof choice === 'function') return choice
+  const send = transports[choice]
+  if (!send) throw new Error(`Unknown mail transport "${choice}"`)
+  return send
+}
+
+/**
+ * Send { to, subject, text, html? }. Resolves with whatever the transport returns.
+ */
+async function sendMail(message) {
+  if (!message || !message.to || !message.subject) throw new Error('Mail needs "to" and "subject"')
+  return currentTransport()({ from: MAIL_FROM, ...message })
+}
+
+module.exports = { sendMail, registerTransport, setTransport }
@@ -0,0 +1,343 @@
+// Storage backend on MongoDB (the default). Every method returns plain objects, like the file store.
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const RefreshToken = require('../models/RefreshToken')
+const Bookmark = require('../models/Bookmark')
+const Collection = require('../models/Collection')
+const { readingStats } = require('./reading')
+
+function objectId(id) {
+  return new mongoose.Types.ObjectId(String(id))
+}
+
+// Users
+
+function findUserByEmail(email) {
+  return User.findOne({ email }).lean()
+}
+
+function findUserById(id) {
+  return User.findById(id).lean()
+}
+
+async function createUser({ name, email, passwordHash }) {
+  return (await User.create({ name, email, passwordHash })).toObject()
+}
+
+async function updateUserPassword(id, passwordHash) {
+  await User.updateOne({ _id: id }, { $set: { passwordHash } })
+}
+
+// Set (or with a null hash, remove) the token of the user's private bookmark feeds
+async function setFeedToken(id, tokenHash) {
+  const update = tokenHash
+    ? { $set: { feedTokenHash: tokenHash, feedTokenCreatedAt: new Date() } }
+    : { $unset: { feedTokenHash: 1, feedTokenCreatedAt: 1 } }
+  await User.updateOne({ _id: id }, update)
+}
+
+function findUserByFeedToken(tokenHash) {
+  return User.findOne({ feedTokenHash: tokenHash }).lean()
+}
+
+// Sessions (refresh tokens)
+
+async function createSession(data) {
+  return (await RefreshToken.create(data)).toObject()
+}
+
+function findSessionByHash(tokenHash) {
+  return RefreshToken.findOne({ tokenHash }).lean()
+}
+
+// Revoke one session if it is still active; resolves with it, or null when someone else got there first
+function claimSession(id) {
+  return RefreshToken.findOneAndUpdate({ _id: id, revokedAt: null }, { $set: { revokedAt: new Date() } }, { new: true }).lean()
+}
+
+async function revokeSessionFamily(family) {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } })
+}
+
+async function revokeUserSessions(userId, exceptFamily) {
+  const filter = { userId, revokedAt: null }
+  if (exceptFamily) filter.family = { $ne: exceptFamily }
+  const result = await RefreshToken.updateMany(filter, { $set: { revokedAt: new Date() } })
+  return result.modifiedCount
+}
+
+// Bookmarks
+
+/**
+ * One page of bookmarks, without snapshot text unless withText. query: { collectionId (null = unfiled),
+ * tags, source, statuses, from, to, sort: { field, dir }, after: { value, id }, limit, withText }.
+ */
+function listBookmarks(userId, query) {
+  const { sort } = query
+  const filter = { userId }
+  if (query.collectionId !== undefined) filter.collectionId = query.collectionId
+  if (query.tags && query.tags.length) filter.tags = { $all: query.tags }
+  if (query.source) filter.source = query.source
+  // bookmarks from before read state existed have no status and count as unread
+  if (query.statuses && query.statuses.length) filter.status = { $in: query.statuses.includes('unread') ? [...query.statuses, null] : query.statuses }
+  if (query.from || query.to) {
+    filter.savedAt = {}
+    if (query.from) filter.savedAt.$gte = query.from
+    if (query.to) filter.savedAt.$lte = query.to
+  }
+  if (query.after) {
+    const op = sort.dir === -1 ? '$lt' : '$gt'
+    const afterId = objectId(query.after.id)
+    filter.$or = [{ [sort.field]: { [op]: query.after.value } }, { [sort.field]: query.after.value, _id: { [op]: afterId } }]
+  }
+  return Bookmark.find(filter)
+    .select(query.withText ? {} : '-snapshot.text')
+    .sort({ [sort.field]: sort.dir, _id: sort.dir })
+    .limit(query.limit)
+    .lean()
+}
+
+// Full-text search over title, notes and snapshot text; results carry a relevance score
+function searchBookmarks(userId, q, limit) {
+  return Bookmark.find({ userId, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean()
+}
+
+// All of a user's bookmarks, oldest first, without snapshots
+function allBookmarks(userId) {
+  return Bookmark.find({ userId }).select('-snapshot').sort({ createdAt: 1 }).lean()
+}
+
+function findBookmark(userId, id) {
+  return Bookmark.findOne({ _id: id, userId }).lean()
+}
+
+function findBookmarkByUrl(userId, url) {
+  return Bookmark.findOne({ userId, url }).lean()
+}
+
+// Which of these URLs the user has already saved
+function findBookmarkUrls(userId, urls) {
+  return Bookmark.distinct('url', { userId, url: { $in: urls } })
+}
+
+async function createBookmark(data) {
+  return (await Bookmark.create(data)).toObject()
+}
+
+/**
+ * Insert many bookmarks in one batch. Resolves with one result per input, { bookmark } or
+ * { error } for one that failed validation or couldn't be written; the others still go in.
+ */
+async function createBookmarks(list) {
+  const docs = list.map((data) => new Bookmark(data))
+  const errors = docs.map((doc) => {
+    const err = doc.validateSync()
+    return err ? err.message : null
+  })
+  const valid = [...docs.keys()].filter((i) => !errors[i])
+  if (valid.length) {
+    try {
+      await Bookmark.insertMany(valid.map((i) => docs[i]), { ordered: false })
+    } catch (err) {
+      if (!err.writeErrors) throw err
+      for (const e of err.writeErrors) errors[valid[e.index]] = e.errmsg || 'Could not save'
+    }
+  }
+  return docs.map((doc, i) => (errors[i] ? { error: errors[i] } : { bookmark: doc.toObject() }))
+}
+
+// Apply field updates; resolves with the updated bookmark or null when it doesn't exist
+function updateBookmark(userId, id, fields) {
+  if (Object.keys(fields).length === 0) return findBookmark(userId, id)
+  return Bookmark.findOneAndUpdate({ _id: id, userId }, { $set: fields }, { new: true, runValidators: true }).lean()
+}
+
+async function deleteBookmark(userId, id) {
+  return Boolean(await Bookmark.findOneAndDelete({ _id: id, userId }))
+}
+
+async function setSnapshot(id, snapshot) {
+  await Bookmark.updateOne({ _id: id }, { $set: { snapshot } })
+}
+
+async function tagBookmarks(userId, ids, add, remove) {
+  const filter = { _id: { $in: ids }, userId }
+  // $addToSet and $pull can't target the same field in one update
+  let modified = 0
+  if (add.length) modified += (await Bookmark.updateMany(filter, { $addToSet: { tags: { $each: add } } })).modifiedCount
+  if (remove.length) modified += (await Bookmark.updateMany(filter, { $pull: { tags: { $in: remove } } })).modifiedCount
+  return modified
+}
+
+async function moveBookmarks(userId, ids, collectionId) {
+  const result = await Bookmark.updateMany({ _id: { $in: ids }, userId }, { $set: { collectionId } })
+  return result.modifiedCount
+}
+
+// Total, counts by source, tag and collection, and reading habits over the last options.weeks weeks
+async function bookmarkStats(userId, options = {}) {
+  const uid = objectId(userId)
+  const bySource = await Bookmark.aggregate([
+    { $match: { userId: uid } },
+    { $group: { _id: '$source', count: { $sum: 1 } } },
+    { $project: { source: '$_id', count: 1, _id: 0 } },
+    { $sort: { count: -1 } },
+  ])
+  const byTag = await Bookmark.aggregate([
+    { $match: { userId: uid } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $project: { tag: '$_id', count: 1, _id: 0 } },
+    { $sort: { count: -1, tag: 1 } },
+  ])
+  const byCollection = await Bookmark.aggregate([
+    { $match: { userId: uid } },
+    { $group: { _id: '$collectionId', count: { $sum: 1 } } },
+    { $lookup: { from: Collection.collection.name, localField: '_id', foreignField: '_id', as: 'collection' } },
+    { $project: { collectionId: '$_id', name: { $ifNull: [{ $arrayElemAt: ['$collection.name', 0] }, null] }, count: 1, _id: 0 } },
+    { $sort: { count: -1 } },
+  ])
+  const total = await Bookmark.countDocuments({ userId })
+  const readState = await Bookmark.find({ userId }).select('status progress savedAt readAt snapshot.readingMinutes snapshot.wordCount').lean()
+  return { total, bySource, byTag, byCollection, reading: readingStats(readState, options) }
+}
+
+// Collections
+
+async function listCollections(userId) {
+  const collections = await Collection.find({ userId }).sort({ name: 1 }).lean()
+  const counts = await Bookmark.aggregate([
+    { $match: { userId: objectId(userId), collectionId: { $ne: null } } },
+    { $group: { _id: '$collectionId', count: { $sum: 1 } } },
+  ])
+  const countById = new Map(counts.map((c) => [String(c._id), c.count]))
+  return collections.map((c) => ({ ...c, count: countById.get(String(c._id)) || 0 }))
+}
+
+function findCollection(userId, id) {
+  return Collection.findOne({ _id: id, userId }).lean()
+}
+
+function findCollectionByName(userId, name) {
+  return Collection.findOne({ userId, name }).lean()
+}
+
+async function createCollection(data) {
+  return (await Collection.create(data)).toObject()
+}
+
+function updateCollection(userId, id, fields) {
+  if (Object.keys(fields).length === 0) return findCollection(userId, id)
+  return Collection.findOneAndUpdate({ _id: id, userId }, { $set: fields }, { new: true }).lean()
+}
+
+// Delete a collection and unfile its bookmarks; resolves with the number unfiled, or null if not found
+async function deleteCollection(userId, id) {
+  const collection = await Collection.findOneAndDelete({ _id: id, userId })
+  if (!collection) return null
+  const moved = await Bookmark.updateMany({ userId, collectionId: collection._id }, { $set: { collectionId: null } })
+  return moved.modifiedCount
+}
+
+// Import
+
+// Insert a file store record as-is, keeping its id and timestamps
+async function insertAs(Model, doc) {
+  await Model.create([doc], { timestamps: false })
+}
+
+/**
+ * Copy a file store's records in (see storage.connect). Users are matched by email, collections
+ * by name and bookmarks by URL, so a second run adds nothing. Returns how many records were added
+ * and how many were dropped because MongoDB already had a different record with the same email,
+ * name or URL (that one is kept).
+ */
+async function importFileData(data) {
+  const added = { users: 0, collections: 0, bookmarks: 0, sessions: 0 }
+  const dropped = { users: 0, collections: 0, bookmarks: 0 }
+  const userIds = new Map()
+  for (const u of data.users) {
+    const existing = await User.findOne({ email: u.email }).select('_id').lean()
+    if (existing && String(existing._id) !== String(u._id)) dropped.users++
+    if (!existing) {
+      await insertAs(User, u)
+      added.users++
+    }
+    userIds.set(String(u._id), existing ? existing._id : u._id)
+  }
+
+  const collectionIds = new Map()
+  for (const c of data.collections) {
+    const userId = userIds.get(String(c.userId))
+    if (!userId) continue
+    const existing = await Collection.findOne({ userId, name: c.name }).select('_id').lean()
+    if (existing && String(existing._id) !== String(c._id)) dropped.collections++
+    if (!existing) {
+      await insertAs(Collection, { ...c, userId })
+      added.collections++
+    }
+    collectionIds.set(String(c._id), existing ? existing._id : c._id)
+  }
+
+  for (const b of data.bookmarks) {
+    const userId = userIds.get(String(b.userId))
+    if (!userId) continue
+    const existing = await Bookmark.findOne({ userId, url: b.url }).select('_id').lean()
+    if (existing) {
+      if (String(existing._id) !== String(b._id)) dropped.bookmarks++
+      continue
+    }
+    await insertAs(Bookmark, { ...b, userId, collectionId: (b.collectionId && collectionIds.get(String(b.collectionId))) || null })
+    added.bookmarks++
+  }
+
+  // live sessions come along so nobody is signed out by the switch
+  const now = new Date()
+  for (const session of data.sessions) {
+    const userId = userIds.get(String(session.userId))
+    if (!userId || session.revokedAt || new Date(session.expiresAt) <= now) continue
+    if (await RefreshToken.exists({ tokenHash: session.tokenHash })) continue
+    await insertAs(RefreshToken, { ...session, userId })
+    added.sessions++
+  }
+  return { added, dropped }
+}
+
+module.exports = {
+  name: 'mongo',
+  findUserByEmail,
+  findUserById,
+  createUser,
+  updateUserPassword,
+  setFeedToken,
+  findUserByFeedToken,
+  createSession,
+  findSessionByHash,
+  claimSession,
+  revokeSessionFamily,
+  revokeUserSessions,
+  listBookmarks,
+  searchBookmarks,
+  allBookmarks,
+  findBookmark,
+  findBookmarkByUrl,
+  findBookmarkUrls,
+  createBookmark,
+  createBookmarks,
+  updateBookmark,
+  deleteBookmark,
+  setSnapshot,
+  tagBookmarks,
+  moveBookmarks,
+  bookmarkStats,
+  listCollections,
+  findCollection,
+  findCollectionByName,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  importFileData,
+}
@@ -0,0 +1,449 @@
+// News provider plumbing shared by /api/news, the personalized feed and background jobs:
+// provider fetchers mapped to one article shape, circuit breakers, aggregation and the response cache.
+const fetch = global.fetch || require('node-fetch')
+const newsCache = require('./newsCache')
+const health = require('./providerHealth')
+const budget = require('./providerBudget')
+const { serverFeeds, fetchFeeds } = require('./feeds')
+const { capabilitiesFor, planFilters, unsupportedReason } = require('./providerCapabilities')
+const { filterByCountry } = require('./sourceCountry')
+
+// Helper: map NewsData result to unified article shape
+function mapNewsData(results) {
+  return (results || []).map((a, i) => ({
+    id: a.link || `${Date.now()}-${i}`,
+    title: a.title,
+    url: a.link,
+    source: a.source_id || (a.source && a.source.name) || 'NewsData',
+    provider: 'newsdata',
+    time: a.pubDate,
+    description: a.description || a.content || '',
+    image: a.image_url || '',
+    original: a,
+  }))
+}
+
+// Helper: map NewsAPI articles
+function mapNewsAPI(results) {
+  return (results || []).map((a, i) => ({
+    id: a.url || `${Date.now()}-${i}`,
+    title: a.title,
+    url: a.url,
+    source: a.source && a.source.name,
+    provider: 'newsapi',
+    time: a.publishedAt,
+    description: a.description || a.content || '',
+    image: a.urlToImage || '',
+    original: a,
+  }))
+}
+
+// Helper: map Hacker News (Algolia)
+function mapHN(results) {
+  return (results || []).map((h) => ({
+    id: h.objectID,
+    title: h.title || h.story_title || 'Untitled',
+    url: h.url || h.story_url || '',
+    source: h.author || 'Hacker News',
+    provider: 'hackernews',
+    time: h.created_at,
+    description: h.story_text || h.comment_text || '',
+    image: '',
+    original: h,
+  }))
+}
+
+// Helper: map Mediastack
+function mapMediastack(results) {
+  return (results || []).map((a, i) => ({
+    id: a.url || `${Date.now()}-${i}`,
+    title: a.title,
+    url: a.url,
+    source: a.source || a.author || 'Mediastack',
+    provider: 'mediastack',
+    time: a.published_at || a.publishedAt || '',
+    description: a.description || '',
+    image: a.image || '',
+    original: a,
+  }))
+}
+
+// Helper: map GNews
+function mapGNews(results) {
+  return (results || []).map((a, i) => ({
+    id: a.url || `${Date.now()}-${i}`,
+    title: a.title,
+    url: a.url,
+    source: (a.source && a.source.name) || 'GNews',
+    provider: 'gnews',
+    time: a.publishedAt || a.published_at || '',
+    description: a.description || '',
+    image: a.image || '',
+    original: a,
+  }))
+}
+
+// per-provider upstream timeout so one slow API can't stall the whole request
+const PROVIDER_TIMEOUT_MS = Number(process.env.NEWS_PROVIDER_TIMEOUT_MS) || 8000
+
+// order of providers to try when provider=auto
+const order = ['newsdata', 'newsapi', 'mediastack', 'gnews', 'hackernews', 'rss']
+
+// API key lookup per provider; Hacker News (Algolia) needs none, RSS needs feeds in RSS_FEEDS
+const providerKeys = {
+  newsdata: () => process.env.NEWSDATA_API_KEY,
+  newsapi: () => process.env.NEWSAPI_KEY || process.env.NEWS_API_KEY,
+  mediastack: () => process.env.MEDIASTACK_API_KEY || process.env.MEDIASTACK_KEY,
+  gnews: () => process.env.GNEWS_API_KEY || process.env.VITE_GNEWS_KEY,
+  hackernews: () => true,
+  rss: () => serverFeeds().length > 0,
+}
+
+// params.feeds (a user's own feed list) also makes rss usable without server feeds
+function isConfigured(provider, params = {}) {
+  if (provider === 'rss' && params.feeds && params.feeds.length) return true
+  const getKey = providerKeys[provider]
+  return Boolean(getKey && getKey())
+}
+
+// GET a provider endpoint as JSON, aborting after PROVIDER_TIMEOUT_MS
+async function fetchJson(url, label) {
+  const controller = new AbortController()
+  const id = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT_MS)
+  try {
+    const r = await fetch(url, { signal: controller.signal })
+    if (!r.ok) throw new Error(`${label} fetch failed (HTTP ${r.status})`)
+    return await r.json()
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`${label} timed out after ${PROVIDER_TIMEOUT_MS}ms`)
+    throw err
+  } finally {
+    clearTimeout(id)
+  }
+}
+
+// helper fetchers for each provider (server-side)
+async function tryNewsData({ q, category, country, language, page }) {
+  const newsdataKey = providerKeys.newsdata()
+  if (!newsdataKey) throw new Error('NewsData key missing')
+  const params = new URLSearchParams()
+  params.set('apikey', newsdataKey)
+  if (q) params.set('q', q)
+  if (category) params.set('category', category)
+  if (country) params.set('country', country)
+  if (language) params.set('language', language)
+  const p = Math.max(1, Number(page) + 1)
+  params.set('page', String(p))
+  const data = await fetchJson(`https://newsdata.io/api/1/news?${params.toString()}`, 'NewsData')
+  if (!Array.isArray(data.results)) throw new Error('NewsData returned unexpected payload')
+  return mapNewsData(data.results)
+}
+
+async function tryNewsAPI({ q, category, country, page, pageSize }) {
+  const newsapiKey = providerKeys.newsapi()
+  if (!newsapiKey) throw new Error('NewsAPI key missing')
+  const params = new URLSearchParams()
+  if (q) params.set('q', q)
+  if (category) params.set('category', category)
+  if (country) params.set('country', country)
+  params.set('page', String(Number(page) + 1))
+  params.set('pageSize', String(pageSize))
+  params.set('apiKey', newsapiKey)
+  const data = await fetchJson(`https://newsapi.org/v2/top-headlines?${params.toString()}`, 'NewsAPI')
+  return mapNewsAPI(data.articles || [])
+}
+
+async function tryMediastack({ q, category, country, language, page, pageSize }) {
+  const mediastackKey = providerKeys.mediastack()
+  if (!mediastackKey) throw new Error('Mediastack key missing')
+  const params = new URLSearchParams()
+  params.set('access_key', mediastackKey)
+  if (q) params.set('keywords', q)
+  if (category) params.set('categories', category)
+  if (country) params.set('countries', country)
+  if (language) params.set('languages', language)
+  params.set('limit', String(pageSize))
+  params.set('offset', String(Math.max(0, Number(page)) * Number(pageSize)))
+  const data = await fetchJson(`http://api.mediastack.com/v1/news?${params.toString()}`, 'Mediastack')
+  return mapMediastack(data.data || [])
+}
+
+async function tryGNews({ q, category, country, language, page, pageSize }) {
+  const gnewsKey = providerKeys.gnews()
+  if (!gnewsKey) throw new Error('GNews key missing')
+  const params = new URLSearchParams()
+  params.set('token', gnewsKey)
+  if (q) params.set('q', q)
+  if (category) params.set('category', category)
+  if (country) params.set('country', country)
+  if (language) params.set('lang', language)
+  // gnews uses max and page
+  params.set('max', String(pageSize))
+  params.set('page', String(Number(page) + 1))
+  const data = await fetchJson(`https://gnews.io/api/v4/top-headlines?${params.toString()}`, 'GNews')
+  return mapGNews(data.articles || [])
+}
+
+async function tryHackerNews({ q, page, pageSize }) {
+  const qParam = q ? `&query=${encodeURIComponent(q)}` : ''
+  const api = `https://hn.algolia.com/api/v1/search?tags=story&hitsPerPage=${encodeURIComponent(pageSize)}&page=${encodeURIComponent(page)}${qParam}`
+  const data = await fetchJson(api, 'Hacker News')
+  return mapHN(data.hits || [])
+}
+
+// RSS/Atom feeds: the user's subscriptions when given, otherwise RSS_FEEDS. Feeds have no search
+// or paging, so q is matched against title and description and the merged list is paged here.
+async function tryRss({ q, page, pageSize, feeds }) {
+  const { articles, failed } = await fetchFeeds(feeds && feeds.length ? feeds : serverFeeds())
+  if (failed.length) console.warn('RSS: feeds failed:', failed.map((f) => `${f.feed} (${f.error})`).join(', '))
+  const terms = String(q || '').toLowerCase().split(/\s+/).filter(Boolean)
+  const matching = terms.length
+    ? articles.filter((a) => {
+        const haystack = `${a.title} ${a.description}`.toLowerCase()
+        return terms.every((t) => haystack.includes(t))
+      })
+    : articles
+  const size = Number(pageSize) || 20
+  const start = Math.max(0, Number(page) || 0) * size
+  return sortByTime(dedupeArticles(matching)).slice(start, start + size)
+}
+
+const fetchers = {
+  newsdata: tryNewsData,
+  newsapi: tryNewsAPI,
+  mediastack: tryMediastack,
+  gnews: tryGNews,
+  hackernews: tryHackerNews,
+  rss: tryRss,
+}
+
+function skippedError(message) {
+  const err = new Error(message)
+  err.skipped = true
+  return err
+}
+
+// Call one provider through its daily budget and circuit breaker, recording latency and outcome
+async function callProvider(p, params) {
+  if (!fetchers[p]) return []
+  if (!isConfigured(p, params)) throw new Error(`${p} API key not configured`)
+  // the budget is checked before the breaker so a spent budget never takes the half-open trial
+  if (!(await budget.hasBudget(p))) throw skippedError('daily budget exhausted')
+  if (!health.canAttempt(p)) throw skippedError('circuit open')
+  await budget.consume(p)
+  const started = Date.now()
+  try {
+    const articles = await fetchers[p](params)
+    health.recordSuccess(p, Date.now() - started)
+    return articles
+  } catch (err) {
+    health.recordFailure(p, err, Date.now() - started)
+    throw err
+  }
+}
+
+// Call a provider with the filters it supports natively and apply the rest here (country by outlet metadata)
+async function callFiltered(p, plan) {
+  const articles = await callProvider(p, plan.params)
+  return plan.postCountry ? filterByCountry(articles, plan.postCountry) : articles
+}
+
+// { country: { value, applied: { newsdata: 'native', rss: 'metadata' } }, ... } for the requested filters
+function describeFilters(params, modesByProvider) {
+  const filters = {}
+  for (const [p, modes] of Object.entries(modesByProvider)) {
+    for (const [filter, mode] of Object.entries(modes)) {
+      if (!filters[filter]) filters[filter] = { value: params[filter], applied: {} }
+      filters[filter].applied[p] = mode
+    }
+  }
+  return filters
+}
+
+// Canonical form of an article URL for dedupe: no fragment, tracking params, "www." or trailing slash
+function canonicalUrl(url) {
+  if (!url) return ''
+  try {
+    const parsed = new URL(url)
+    for (const k of [...parsed.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$|ref$|cmpid$)/i.test(k)) parsed.searchParams.delete(k)
+    }
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '')
+    const path = parsed.pathname.replace(/\/+$/, '')
+    const search = parsed.searchParams.toString()
+    return `${host}${path}${search ? `?${search}` : ''}`
+  } catch (e) {
+    return ''
+  }
+}
+
+// Normalized title for dedupe: drop a trailing " - Outlet" suffix, punctuation and case
+function normalizeTitle(title) {
+  return String(title || '')
+    .replace(/\s+[-|–—]\s+[^-|–—]{1,60}$/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Keep the first occurrence of every story, matching on canonical URL or normalized title
+function dedupeArticles(articles) {
+  const seenUrls = new Set()
+  const seenTitles = new Set()
+  const out = []
+  for (const a of articles) {
+    const u = canonicalUrl(a.url)
+    const t = normalizeTitle(a.title)
+    if ((u && seenUrls.has(u)) || (t && seenTitles.has(t))) continue
+    if (u) seenUrls.add(u)
+    if (t) seenTitles.add(t)
+    out.push(a)
+  }
+  return out
+}
+
+function articleTime(a) {
+  const t = new Date(a.time).getTime()
+  return Number.isNaN(t) ? 0 : t
+}
+
+// newest first; articles without a parseable time go last
+function sortByTime(articles) {
+  return articles.sort((a, b) => articleTime(b) - articleTime(a))
+}
+
+// Query every configured provider that can serve the requested filters concurrently and merge the results
+async function aggregateProviders(params) {
+  const skipped = order.filter((p) => !isConfigured(p, params)).map((p) => ({ provider: p, reason: 'API key not configured' }))
+  const names = []
+  const plans = {}
+  for (const p of order.filter((name) => isConfigured(name, params))) {
+    const plan = planFilters(p, params)
+    if (plan.unsupported.length) {
+      skipped.push({ provider: p, reason: unsupportedReason(plan, params) })
+      continue
+    }
+    names.push(p)
+    plans[p] = plan
+  }
+  const settled = await Promise.allSettled(names.map((p) => callFiltered(p, plans[p])))
+
+  const contributed = []
+  const failed = []
+  const modes = {}
+  let merged = []
+  settled.forEach((result, i) => {
+    const p = names[i]
+    if (result.status === 'fulfilled') {
+      contributed.push({ provider: p, count: result.value.length })
+      modes[p] = plans[p].modes
+      merged = merged.concat(result.value)
+    } else if (result.reason && result.reason.skipped) {
+      skipped.push({ provider: p, reason: result.reason.message })
+    } else {
+      const reason = (result.reason && result.reason.message) || String(result.reason)
+      console.warn(`Provider ${p} failed:`, reason)
+      failed.push({ provider: p, error: reason })
+    }
+  })
+
+  return { articles: sortByTime(dedupeArticles(merged)), contributed, failed, skipped, filters: describeFilters(params, modes) }
+}
+
+
+// Run one news query against the providers. Throws when no provider could answer;
+// err.details carries the per-provider failures for the 502 body.
+async function loadNews(params, provider, mode) {
+  if (provider === 'all' || mode === 'aggregate') {
+    const { articles, contributed, failed, skipped, filters } = await aggregateProviders(params)
+    if (contributed.length === 0) {
+      const err = new Error('No news provider available')
+      err.details = { failed, skipped }
+      throw err
+    }
+    console.log('News route: aggregate providers=', contributed.map((c) => c.provider).join(','), 'articles=', articles.length)
+    return { provider: 'all', articles, filters, contributed, failed, skipped }
+  }
+
+  // build list of attempts: if a specific provider requested, try it first
+  const requested = provider && provider !== 'auto' ? provider.toString().toLowerCase() : ''
+  const attempts = requested ? [requested] : []
+  for (const p of order) if (!attempts.includes(p)) attempts.push(p)
+
+  // fallbacks that can't serve the requested filters are skipped; an explicitly requested
+  // provider is still asked, and the filters it can't apply are reported as unsupported
+  const skipped = []
+  const failed = []
+  for (const p of attempts) {
+    const plan = planFilters(p, params)
+    if (plan.unsupported.length && p !== requested) {
+      if (isConfigured(p, params)) skipped.push({ provider: p, reason: unsupportedReason(plan, params) })
+      continue
+    }
+    try {
+      const articles = await callFiltered(p, plan)
+      console.log('News route: provider=', p, 'articles=', articles.length)
+      return { provider: p, articles, filters: describeFilters(params, { [p]: plan.modes }), ...(skipped.length ? { skipped } : {}) }
+    } catch (err) {
+      console.warn(`Provider ${p} failed:`, err.message || err)
+      if (err.skipped) skipped.push({ provider: p, reason: err.message })
+      else if (isConfigured(p, params)) failed.push({ provider: p, error: err.message || String(err) })
+      // continue to next
+    }
+  }
+
+  const err = new Error('No news provider available')
+  err.details = { failed, skipped }
+  throw err
+}
+
+// background refreshes in flight, so concurrent stale hits trigger only one upstream call
+const revalidating = new Map()
+
+function revalidate(key, params, provider, mode) {
+  if (revalidating.has(key)) return
+  const job = loadNews(params, provider, mode)
+    .then((payload) => newsCache.set(key, payload))
+    .catch((err) => console.warn('News cache: background refresh failed:', err.message || err))
+    .finally(() => revalidating.delete(key))
+  revalidating.set(key, job)
+}
+
+/**
+ * loadNews behind the response cache. Fresh entries are served directly, entries in the
+ * stale-while-revalidate window are served while a background refresh runs, and a stale entry is
+ * the fallback when every provider fails. Resolves with { payload, cache: { hit, stale, age } };
+ * rejects like loadNews when nothing could be served.
+ */
+async function getNews(params, provider = 'auto', mode = '', scope = '') {
+  const key = newsCache.cacheKey({ ...params, provider: mode === 'aggregate' ? 'all' : provider, scope })
+  const cached = await newsCache.get(key)
+  if (cached && cached.fresh) return { payload: cached.payload, cache: { hit: true, stale: false, age: cached.age } }
+  if (cached && cached.revalidate) {
+    // stale-while-revalidate: answer from cache now, refresh for the next caller
+    revalidate(key, params, provider, mode)
+    return { payload: cached.payload, cache: { hit: true, stale: true, age: cached.age } }
+  }
+
+  try {
+    const payload = await loadNews(params, provider, mode)
+    await newsCache.set(key, payload)
+    return { payload, cache: { hit: false, stale: false, age: 0 } }
+  } catch (err) {
+    if (cached) {
+      console.warn('News: providers failed, serving stale cache entry aged', cached.age, 's')
+      return { payload: cached.payload, cache: { hit: true, stale: true, age: cached.age } }
+    }
+    throw err
+  }
+}
+
+// Key configuration, live health, today's budget and filter capabilities of every provider
+async function providerStatus() {
+  return Promise.all(
+    order.map(async (name) => ({ name, configured: isConfigured(name), ...health.snapshot(name), ...(await budget.snapshot(name)), capabilities: capabilitiesFor(name) }))
+  )
+}
+
+module.exports = { order, isConfigured, loadNews, getNews, providerStatus, canonicalUrl, dedupeArticles, sortByTime }
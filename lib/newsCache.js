@@ -0,0 +1,110 @@
+const mongoose = require('mongoose')
+const NewsCache = require('../models/NewsCache')
+
+// Seconds an entry is served as fresh; override per provider with NEWS_CACHE_TTL_<PROVIDER>
+const DEFAULT_TTL = Number(process.env.NEWS_CACHE_TTL) || 300
+// After the TTL, entries are served stale (and refreshed in the background) for this many seconds
+const SWR_WINDOW = Number(process.env.NEWS_CACHE_SWR) || 600
+// Entries are kept this long so they can stand in when every provider is failing
+const MAX_STALE = Number(process.env.NEWS_CACHE_MAX_STALE) || 24 * 60 * 60
+const MAX_ENTRIES = Number(process.env.NEWS_CACHE_MAX_ENTRIES) || 500
+
+function ttlFor(provider) {
+  const override = provider && process.env[`NEWS_CACHE_TTL_${String(provider).toUpperCase()}`]
+  return Number(override) || DEFAULT_TTL
+}
+
+// Cache key from the normalized query, so "?q=AI&page=0" and "?page=0&q=ai " share an entry
+// scope separates per-user results (e.g. a user's own RSS feeds) from the shared entries
+function cacheKey({ q = '', category = '', country = '', language = '', page = '0', pageSize = '20', provider = 'auto', scope = '' }) {
+  const norm = (v) => String(v).trim().toLowerCase()
+  const parts = [
+    'news',
+    norm(provider),
+    norm(q).replace(/\s+/g, ' '),
+    norm(category),
+    norm(country),
+    norm(language),
+    String(Number(page) || 0),
+    String(Number(pageSize) || 20),
+  ]
+  if (scope) parts.push(`scope:${scope}`)
+  return parts.join('|')
+}
+
+// In-memory LRU: a Map keeps insertion order, so re-inserting on read moves an entry to the back
+function createMemoryStore(maxEntries = MAX_ENTRIES) {
+  const entries = new Map()
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return null
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key)
+        return null
+      }
+      entries.delete(key)
+      entries.set(key, entry)
+      return { payload: entry.payload, storedAt: entry.storedAt }
+    },
+    async set(key, payload, keepMs) {
+      const now = Date.now()
+      entries.delete(key)
+      entries.set(key, { payload, storedAt: now, expiresAt: now + keepMs })
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value)
+    },
+  }
+}
+
+function createMongoStore() {
+  return {
+    name: 'mongo',
+    async get(key) {
+      const doc = await NewsCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean()
+      if (!doc) return null
+      return { payload: JSON.parse(doc.body), storedAt: doc.storedAt.getTime() }
+    },
+    async set(key, payload, keepMs) {
+      const now = Date.now()
+      await NewsCache.updateOne(
+        { key },
+        { key, body: JSON.stringify(payload), storedAt: new Date(now), expiresAt: new Date(now + keepMs) },
+        { upsert: true }
+      )
+    },
+  }
+}
+
+const memoryStore = createMemoryStore()
+const mongoStore = createMongoStore()
+
+// Use the Mongo collection while connected, otherwise the in-process LRU
+function activeStore() {
+  return mongoose.connection.readyState === 1 ? mongoStore : memoryStore
+}
+
+async function get(key) {
+  const store = activeStore()
+  try {
+    const entry = await store.get(key)
+    if (!entry) return null
+    const age = Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000))
+    const ttl = ttlFor(entry.payload.provider)
+    return { payload: entry.payload, age, fresh: age < ttl, revalidate: age < ttl + SWR_WINDOW }
+  } catch (err) {
+    console.warn(`News cache (${store.name}) read failed:`, err.message || err)
+    return null
+  }
+}
+
+async function set(key, payload) {
+  const store = activeStore()
+  try {
+    await store.set(key, payload, (ttlFor(payload.provider) + MAX_STALE) * 1000)
+  } catch (err) {
+    console.warn(`News cache (${store.name}) write failed:`, err.message || err)
+  }
+}
+
+module.exports = { cacheKey, ttlFor, get, set, createMemoryStore, createMongoStore }
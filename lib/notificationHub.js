@@ -0,0 +1,22 @@
+// In-process pub/sub between the poller and open SSE connections, keyed by user id.
+// A single Express process is assumed; with several instances each only reaches its own clients.
+const { EventEmitter } = require('events')
+
+const hub = new EventEmitter()
+hub.setMaxListeners(0)
+
+function subscribe(userId, listener) {
+  const channel = `user:${userId}`
+  hub.on(channel, listener)
+  return () => hub.off(channel, listener)
+}
+
+function publish(userId, notification) {
+  hub.emit(`user:${userId}`, notification)
+}
+
+function listenerCount(userId) {
+  return hub.listenerCount(`user:${userId}`)
+}
+
+module.exports = { subscribe, publish, listenerCount }
@@ -0,0 +1,50 @@
+// Daily upstream call budgets per news provider, counted per UTC day in the rate-limit store.
+// Defaults follow the providers' free tiers; NEWS_BUDGET_<PROVIDER> overrides, 0 means unlimited.
+const { hit, peek } = require('./rateLimit')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_BUDGETS = {
+  newsdata: 200,
+  newsapi: 100,
+  mediastack: 3,
+  gnews: 100,
+  hackernews: 0,
+  rss: 0,
+}
+
+function budgetFor(provider) {
+  const override = process.env[`NEWS_BUDGET_${String(provider).toUpperCase()}`]
+  if (override !== undefined && override !== '') return Math.max(0, Number(override) || 0)
+  return DEFAULT_BUDGETS[provider] || 0
+}
+
+function budgetKey(provider) {
+  return `budget|${provider}`
+}
+
+// Whether today's budget still has room for another call
+async function hasBudget(provider) {
+  const limit = budgetFor(provider)
+  if (!limit) return true
+  const { count } = await peek(budgetKey(provider), DAY_MS)
+  return count < limit
+}
+
+// Count one upstream call
+async function consume(provider) {
+  if (!budgetFor(provider)) return
+  await hit(budgetKey(provider), DAY_MS)
+}
+
+async function snapshot(provider) {
+  const limit = budgetFor(provider)
+  const { count, resetAt } = await peek(budgetKey(provider), DAY_MS)
+  return {
+    dailyBudget: limit || null,
+    usedToday: count,
+    remainingToday: limit ? Math.max(0, limit - count) : null,
+    budgetResetsAt: new Date(resetAt).toISOString(),
+  }
+}
+
+module.exports = { budgetFor, hasBudget, consume, snapshot }
@@ -0,0 +1,103 @@
+// What each news provider can filter by itself, and how a request's country / category / language
+// filters are applied to it. Per filter a provider lists its upstream parameter name (null when it
+// has none) and the values it accepts (null for any ISO code).
+//
+// How a filter ends up applied to a provider:
+//   native      - sent upstream as the provider's own parameter
+//   inherent    - no parameter, but everything the provider returns already matches (Hacker News is English)
+//   metadata    - country only: filtered here by the outlet's country (lib/sourceCountry)
+//   ignored     - the provider can't filter by it and nothing is known either way
+//   unsupported - the provider can't serve this value; it is skipped unless it was asked for explicitly
+
+const CAPABILITIES = {
+  newsdata: {
+    country: { param: 'country', values: null },
+    category: {
+      param: 'category',
+      values: ['business', 'crime', 'domestic', 'education', 'entertainment', 'environment', 'food', 'health', 'lifestyle', 'other', 'politics', 'science', 'sports', 'technology', 'top', 'tourism', 'world'],
+      aliases: { general: 'top' },
+    },
+    language: { param: 'language', values: null },
+  },
+  newsapi: {
+    // top-headlines
+    country: {
+      param: 'country',
+      values: ['ae', 'ar', 'at', 'au', 'be', 'bg', 'br', 'ca', 'ch', 'cn', 'co', 'cu', 'cz', 'de', 'eg', 'fr', 'gb', 'gr', 'hk', 'hu', 'id', 'ie', 'il', 'in', 'it', 'jp', 'kr', 'lt', 'lv', 'ma', 'mx', 'my', 'ng', 'nl', 'no', 'nz', 'ph', 'pl', 'pt', 'ro', 'rs', 'ru', 'sa', 'se', 'sg', 'si', 'sk', 'th', 'tr', 'tw', 'ua', 'us', 've', 'za'],
+    },
+    category: { param: 'category', values: ['business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'] },
+    language: { param: null, values: null },
+  },
+  mediastack: {
+    country: { param: 'countries', values: null },
+    category: { param: 'categories', values: ['general', 'business', 'entertainment', 'health', 'science', 'sports', 'technology'] },
+    language: { param: 'languages', values: ['ar', 'de', 'en', 'es', 'fr', 'he', 'it', 'nl', 'no', 'pt', 'ru', 'se', 'zh'] },
+  },
+  gnews: {
+    country: {
+      param: 'country',
+      values: ['ar', 'au', 'br', 'ca', 'ch', 'cn', 'co', 'de', 'eg', 'es', 'fr', 'gb', 'gr', 'hk', 'ie', 'il', 'in', 'it', 'jp', 'nl', 'no', 'pe', 'ph', 'pk', 'pt', 'ro', 'ru', 'se', 'sg', 'tw', 'ua', 'us'],
+    },
+    category: { param: 'category', values: ['general', 'world', 'nation', 'business', 'technology', 'entertainment', 'sports', 'science', 'health'] },
+    language: { param: 'lang', values: ['ar', 'de', 'el', 'en', 'es', 'fr', 'he', 'hi', 'it', 'ja', 'ml', 'mr', 'nl', 'no', 'pt', 'ro', 'ru', 'sv', 'ta', 'te', 'uk', 'zh'] },
+  },
+  hackernews: {
+    country: { param: null, values: null },
+    category: { param: null, values: ['technology', 'science'] },
+    language: { param: null, values: ['en'] },
+  },
+  rss: {
+    country: { param: null, values: null },
+    category: { param: null, values: null },
+    language: { param: null, values: null },
+  },
+}
+
+const FILTERS = ['country', 'category', 'language']
+
+function capabilitiesFor(provider) {
+  return CAPABILITIES[provider] || null
+}
+
+// How one filter value would be applied to a provider, and the value to send upstream when native
+function filterMode(provider, filter, value) {
+  const cap = CAPABILITIES[provider] && CAPABILITIES[provider][filter]
+  if (!cap) return { mode: 'ignored' }
+  const v = String(value).toLowerCase()
+  const upstream = (cap.aliases && cap.aliases[v]) || v
+  const accepted = !cap.values || cap.values.includes(upstream)
+  if (cap.param && accepted) return { mode: 'native', value: upstream }
+  if (filter === 'country') return { mode: 'metadata' }
+  if (!cap.param && cap.values) return { mode: accepted ? 'inherent' : 'unsupported' }
+  return { mode: cap.param ? 'unsupported' : 'ignored' }
+}
+
+/**
+ * Plan a request's filters for one provider. Returns { params, modes, unsupported, postCountry }:
+ * params are the request params with non-native filters removed and values translated for the
+ * provider, modes maps each requested filter to how it is applied, unsupported lists the filters
+ * that rule the provider out and postCountry is the country to filter by metadata ('' for none).
+ */
+function planFilters(provider, params) {
+  const out = { ...params }
+  const modes = {}
+  const unsupported = []
+  let postCountry = ''
+  for (const filter of FILTERS) {
+    if (!params[filter]) continue
+    const { mode, value } = filterMode(provider, filter, params[filter])
+    modes[filter] = mode
+    if (mode === 'native') out[filter] = value
+    else out[filter] = ''
+    if (mode === 'metadata') postCountry = String(params[filter]).toLowerCase()
+    if (mode === 'unsupported') unsupported.push(filter)
+  }
+  return { params: out, modes, unsupported, postCountry }
+}
+
+// Human-readable reason a provider was skipped, e.g. "category 'sports' not supported"
+function unsupportedReason(plan, params) {
+  return plan.unsupported.map((f) => `${f} '${params[f]}' not supported`).join(', ')
+}
+
+module.exports = { CAPABILITIES, FILTERS, capabilitiesFor, filterMode, planFilters, unsupportedReason }
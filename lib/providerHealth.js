@@ -0,0 +1,97 @@
+// In-process health tracking and circuit breaker for upstream news providers
+
+// consecutive failures that open the circuit
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3
+// how long an open circuit skips the provider before a single trial request is let through
+const COOLDOWN_MS = Number(process.env.CIRCUIT_COOLDOWN_MS) || 5 * 60 * 1000
+// number of most recent calls used for the error rate
+const WINDOW_SIZE = 20
+
+const states = new Map()
+
+function stateFor(provider) {
+  if (!states.has(provider)) {
+    states.set(provider, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      recent: [],
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+      lastLatencyMs: null,
+      circuit: 'closed',
+      openedAt: null,
+      trialInFlight: false,
+    })
+  }
+  return states.get(provider)
+}
+
+function pushOutcome(s, ok) {
+  s.recent.push(ok)
+  if (s.recent.length > WINDOW_SIZE) s.recent.shift()
+}
+
+// Whether a call may go out now. An open circuit turns half-open once the cool-down has
+// elapsed, and a half-open circuit admits one trial call at a time.
+function canAttempt(provider) {
+  const s = stateFor(provider)
+  if (s.circuit === 'open') {
+    if (Date.now() - s.openedAt < COOLDOWN_MS) return false
+    s.circuit = 'half-open'
+  }
+  if (s.circuit === 'half-open') {
+    if (s.trialInFlight) return false
+    s.trialInFlight = true
+  }
+  return true
+}
+
+function recordSuccess(provider, latencyMs) {
+  const s = stateFor(provider)
+  s.successes++
+  s.consecutiveFailures = 0
+  s.lastSuccessAt = new Date()
+  s.lastLatencyMs = latencyMs
+  pushOutcome(s, true)
+  s.circuit = 'closed'
+  s.openedAt = null
+  s.trialInFlight = false
+}
+
+function recordFailure(provider, err, latencyMs) {
+  const s = stateFor(provider)
+  s.failures++
+  s.consecutiveFailures++
+  s.lastError = (err && err.message) || String(err)
+  s.lastErrorAt = new Date()
+  s.lastLatencyMs = latencyMs
+  pushOutcome(s, false)
+  if (s.circuit === 'half-open' || s.consecutiveFailures >= FAILURE_THRESHOLD) {
+    if (s.circuit !== 'open') console.warn(`Provider ${provider}: circuit opened after ${s.consecutiveFailures} consecutive failures`)
+    s.circuit = 'open'
+    s.openedAt = Date.now()
+  }
+  s.trialInFlight = false
+}
+
+function snapshot(provider) {
+  const s = stateFor(provider)
+  const recentFailures = s.recent.filter((ok) => !ok).length
+  return {
+    circuit: s.circuit,
+    retryAt: s.circuit === 'open' ? new Date(s.openedAt + COOLDOWN_MS) : null,
+    successes: s.successes,
+    failures: s.failures,
+    consecutiveFailures: s.consecutiveFailures,
+    recentCalls: s.recent.length,
+    errorRate: s.recent.length ? recentFailures / s.recent.length : 0,
+    lastError: s.lastError,
+    lastErrorAt: s.lastErrorAt,
+    lastSuccessAt: s.lastSuccessAt,
+    lastLatencyMs: s.lastLatencyMs,
+  }
+}
+
+module.exports = { canAttempt, recordSuccess, recordFailure, snapshot }
@@ -0,0 +1,149 @@
+// Fixed-window rate limiting. Counters live in memory, or in Mongo when RATE_LIMIT_STORE=mongo so
+// several instances share them (falling back to memory while the database is unreachable).
+const mongoose = require('mongoose')
+const RateLimit = require('../models/RateLimit')
+const { authenticateRequest, bearerToken, PAT_PREFIX } = require('./auth')
+const { databaseConnected } = require('./storage')
+
+const STORE = String(process.env.RATE_LIMIT_STORE || 'memory').toLowerCase()
+
+// Limits per route group as "max/windowSeconds"; override with RATE_LIMIT_<GROUP>, e.g. RATE_LIMIT_NEWS=120/60
+const DEFAULT_LIMITS = {
+  auth: '20/900',
+  news: '60/60',
+  fetch: '20/60',
+  summarize: '20/60',
+  digest: '5/3600',
+  api: '300/60',
+}
+
+function createMemoryStore() {
+  const windows = new Map()
+  let lastSweep = Date.now()
+  // drop expired windows now and then so idle keys don't pile up
+  function sweep(now) {
+    if (now - lastSweep < 60 * 1000) return
+    lastSweep = now
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key)
+  }
+  return {
+    async hit(key, windowMs, amount) {
+      const now = Date.now()
+      sweep(now)
+      const bucket = Math.floor(now / windowMs)
+      const full = `${key}|${bucket}`
+      const w = windows.get(full) || { count: 0, resetAt: (bucket + 1) * windowMs }
+      w.count += amount
+      windows.set(full, w)
+      return { count: w.count, resetAt: w.resetAt }
+    },
+    async peek(key, windowMs) {
+      const now = Date.now()
+      const bucket = Math.floor(now / windowMs)
+      const w = windows.get(`${key}|${bucket}`)
+      return { count: w ? w.count : 0, resetAt: (bucket + 1) * windowMs }
+    },
+  }
+}
+
+function createMongoStore() {
+  return {
+    async hit(key, windowMs, amount) {
+      const bucket = Math.floor(Date.now() / windowMs)
+      const resetAt = (bucket + 1) * windowMs
+      const doc = await RateLimit.findOneAndUpdate(
+        { key: `${key}|${bucket}` },
+        { $inc: { count: amount }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, new: true }
+      )
+      return { count: doc.count, resetAt }
+    },
+    async peek(key, windowMs) {
+      const bucket = Math.floor(Date.now() / windowMs)
+      const doc = await RateLimit.findOne({ key: `${key}|${bucket}` }).lean()
+      return { count: doc ? doc.count : 0, resetAt: (bucket + 1) * windowMs }
+    },
+  }
+}
+
+const memoryStore = createMemoryStore()
+const mongoStore = createMongoStore()
+
+function activeStore() {
+  return STORE === 'mongo' && mongoose.connection.readyState === 1 ? mongoStore : memoryStore
+}
+
+// Count amount hits (default one) against key in the current window; a failing Mongo store degrades to memory
+async function hit(key, windowMs, amount = 1) {
+  const store = activeStore()
+  try {
+    return await store.hit(key, windowMs, amount)
+  } catch (err) {
+    console.warn('Rate limit: store failed, counting in memory:', err.message || err)
+    return memoryStore.hit(key, windowMs, amount)
+  }
+}
+
+async function peek(key, windowMs) {
+  const store = activeStore()
+  try {
+    return await store.peek(key, windowMs)
+  } catch (err) {
+    return memoryStore.peek(key, windowMs)
+  }
+}
+
+function limitFor(group) {
+  const raw = process.env[`RATE_LIMIT_${group.toUpperCase()}`] || DEFAULT_LIMITS[group] || DEFAULT_LIMITS.api
+  const [max, seconds] = String(raw).split('/').map(Number)
+  return { max: max > 0 ? max : 0, windowMs: (seconds > 0 ? seconds : 60) * 1000 }
+}
+
+// Signed-in callers (session or personal token) are limited per user, everyone else per IP. Session
+// tokens are checked locally; a personal token's lookup is shared with the auth middleware.
+async function clientKey(req) {
+  const token = bearerToken(req)
+  if (token && (!token.startsWith(PAT_PREFIX) || databaseConnected())) {
+    try {
+      const user = await authenticateRequest(req)
+      if (user) return `user:${user.id}`
+    } catch (err) {
+      // unknown credentials are limited like anonymous callers
+    }
+  }
+  return `ip:${req.ip}`
+}
+
+/**
+ * Middleware limiting a route group (see DEFAULT_LIMITS). Sets RateLimit-Limit, -Remaining,
+ * -Reset and -Policy on every response and answers 429 with Retry-After once the window is used up.
+ * A max of 0 disables the group. cost(req) may charge a request as several hits, e.g. for the
+ * number of upstream calls it fans out to; it defaults to one.
+ */
+function rateLimit(group, cost) {
+  const { max, windowMs } = limitFor(group)
+  return async (req, res, next) => {
+    if (!max) return next()
+    try {
+      const key = `${group}|${await clientKey(req)}`
+      const amount = cost ? Math.max(1, Math.ceil(Number(await cost(req)) || 1)) : 1
+      const { count, resetAt } = await hit(key, windowMs, amount)
+      const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+      res.set('RateLimit-Policy', `${max};w=${Math.round(windowMs / 1000)}`)
+      res.set('RateLimit-Limit', String(max))
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)))
+      res.set('RateLimit-Reset', String(resetSeconds))
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds))
+        return res.status(429).json({ error: 'Too many requests', retryAfter: resetSeconds })
+      }
+      next()
+    } catch (err) {
+      // never take the API down because the limiter broke
+      console.error('Rate limit: check failed', err)
+      next()
+    }
+  }
+}
+
+module.exports = { rateLimit, hit, peek, limitFor }
@@ -0,0 +1,91 @@
+// Read-later state of bookmarks: status transitions, reading-time estimates and reading habits.
+const { READ_STATUSES } = require('../models/Bookmark')
+const { readingMinutes } = require('./extract')
+
+const WEEK_MS = 7 * 24 * 3600 * 1000
+const DAY_MS = 24 * 3600 * 1000
+
+// Estimate for a bookmark; snapshots taken before estimates were stored fall back to the word count
+function estimatedMinutes(b) {
+  if (!b.snapshot) return 0
+  return b.snapshot.readingMinutes || readingMinutes(b.snapshot.wordCount)
+}
+
+// Bookmarks saved before read state existed count as unread
+function statusOf(b) {
+  return b.status || 'unread'
+}
+
+/**
+ * Fields to store for a status and/or progress change on bookmark b. Entering a status stamps its
+ * time: in-progress sets startedAt (once), read sets readAt and progress 100, archived sets
+ * archivedAt and keeps the read history, unread clears everything. Progress on an unread bookmark
+ * moves it to in-progress. Returns { fields } or { error }.
+ */
+function readStateFields(b, { status, progress }, now = new Date()) {
+  const fields = {}
+  if (progress !== undefined) {
+    const p = Number(progress)
+    if (progress === null || progress === '' || !Number.isFinite(p) || p < 0 || p > 100) return { error: 'progress must be a number from 0 to 100' }
+    fields.progress = Math.round(p * 10) / 10
+    if (status === undefined && statusOf(b) === 'unread' && p > 0) status = 'in-progress'
+  }
+  if (status === undefined || status === statusOf(b)) return { fields }
+  if (!READ_STATUSES.includes(status)) return { error: `status must be one of ${READ_STATUSES.join(', ')}` }
+
+  fields.status = status
+  if (status === 'unread') Object.assign(fields, { progress: 0, startedAt: null, readAt: null, archivedAt: null })
+  if (status === 'in-progress') Object.assign(fields, { startedAt: b.startedAt || now, readAt: null, archivedAt: null })
+  if (status === 'read') Object.assign(fields, { progress: 100, readAt: now, archivedAt: null })
+  if (status === 'archived') fields.archivedAt = now
+  return { fields }
+}
+
+// Monday 00:00 UTC of the week a date falls in
+function weekStart(date) {
+  const d = new Date(date)
+  const day = (d.getUTCDay() + 6) % 7
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day)
+}
+
+function average(values) {
+  return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null
+}
+
+/**
+ * Reading habits over a user's bookmarks (each needs status, progress, savedAt, readAt and snapshot
+ * readingMinutes / wordCount). readPerWeek covers the last `weeks` weeks (Monday-based, UTC, oldest
+ * first, empty weeks included); averages are over bookmarks read in that window. Reading time isn't
+ * measured: minutes are always the word-count estimate. The backlog is everything unread or in
+ * progress, with the estimated minutes left to read it.
+ */
+function readingStats(bookmarks, { weeks = 12, now = new Date() } = {}) {
+  const byStatus = Object.fromEntries(READ_STATUSES.map((s) => [s, 0]))
+  for (const b of bookmarks) byStatus[statusOf(b)] = (byStatus[statusOf(b)] || 0) + 1
+
+  const backlog = bookmarks.filter((b) => ['unread', 'in-progress'].includes(statusOf(b)))
+  const remaining = backlog.reduce((sum, b) => sum + estimatedMinutes(b) * (1 - (Number(b.progress) || 0) / 100), 0)
+
+  const thisWeek = weekStart(now)
+  const since = thisWeek - (weeks - 1) * WEEK_MS
+  const perWeek = new Map()
+  for (let t = since; t <= thisWeek; t += WEEK_MS) perWeek.set(t, { week: new Date(t).toISOString().slice(0, 10), count: 0, minutes: 0 })
+  const read = bookmarks.filter((b) => b.readAt && new Date(b.readAt).getTime() >= since)
+  for (const b of read) {
+    const bucket = perWeek.get(weekStart(b.readAt))
+    if (!bucket) continue
+    bucket.count++
+    bucket.minutes += estimatedMinutes(b)
+  }
+
+  return {
+    byStatus,
+    backlog: { count: backlog.length, minutes: Math.round(remaining) },
+    readPerWeek: [...perWeek.values()],
+    readInPeriod: read.length,
+    averageEstimatedMinutes: average(read.map(estimatedMinutes).filter((m) => m > 0)),
+    averageDaysToRead: average(read.filter((b) => b.savedAt).map((b) => Math.max(0, new Date(b.readAt) - new Date(b.savedAt)) / DAY_MS)),
+  }
+}
+
+module.exports = { estimatedMinutes, readStateFields, readingStats }
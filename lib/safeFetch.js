@@ -0,0 +1,232 @@
+// Outbound fetch for user-supplied URLs (article fetching, summarizing, RSS feeds).
+// Every hop is checked: the hostname is resolved and each address must be public, redirects are
+// followed manually and re-validated, and the body is capped in bytes and by content type.
+const http = require('http')
+const https = require('https')
+const dns = require('dns')
+const net = require('net')
+const zlib = require('zlib')
+const { URL } = require('url')
+
+const DEFAULT_TIMEOUT_MS = 8000
+const DEFAULT_MAX_BYTES = 300 * 1024
+const DEFAULT_MAX_REDIRECTS = 5
+const HTML_TYPES = ['text/html', 'application/xhtml+xml']
+
+class SafeFetchError extends Error {
+  constructor(code, message, status = 400, upstreamStatus) {
+    super(message)
+    this.name = 'SafeFetchError'
+    this.code = code
+    this.status = status
+    if (upstreamStatus) this.upstreamStatus = upstreamStatus
+  }
+}
+
+// [prefix, bits] pairs of IPv4 ranges that must never be fetched
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+]
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((acc, n) => acc * 256 + parseInt(n, 10), 0)
+}
+
+function isBlockedV4(ip) {
+  const addr = v4ToInt(ip)
+  return BLOCKED_V4.some(([prefix, bits]) => {
+    const size = 2 ** (32 - bits)
+    const start = v4ToInt(prefix)
+    return addr >= start && addr < start + size
+  })
+}
+
+// Expand an IPv6 address into eight 16-bit groups (handles "::" and a dotted IPv4 tail)
+function v6Groups(ip) {
+  let addr = ip.replace(/%.*$/, '').toLowerCase()
+  const v4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(addr)
+  if (v4Tail) {
+    const n = v4ToInt(v4Tail[1])
+    addr = addr.slice(0, v4Tail.index) + `${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`
+  }
+  const [head, tail] = addr.split('::')
+  const headParts = head ? head.split(':') : []
+  const tailParts = tail !== undefined && tail !== '' ? tail.split(':') : []
+  const fill = tail !== undefined ? 8 - headParts.length - tailParts.length : 0
+  return [...headParts, ...Array(fill).fill('0'), ...tailParts].map((g) => parseInt(g, 16) || 0)
+}
+
+function isBlockedV6(ip) {
+  const g = v6Groups(ip)
+  const embeddedV4 = () => `${g[6] >> 8}.${g[6] & 0xff}.${g[7] >> 8}.${g[7] & 0xff}`
+  if (g.every((x) => x === 0)) return true // ::
+  if (g.slice(0, 7).every((x) => x === 0) && g[7] === 1) return true // ::1
+  // IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) carry an IPv4 address
+  if (g.slice(0, 5).every((x) => x === 0) && (g[5] === 0xffff || g[5] === 0)) return isBlockedV4(embeddedV4())
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every((x) => x === 0)) return isBlockedV4(embeddedV4())
+  if (g[0] === 0x64 && g[1] === 0xff9b && g[2] === 1) return true // 64:ff9b:1::/48 local-use NAT64
+  // 6to4 (2002:a.b.c.d::/48) carries its IPv4 address in groups 1-2
+  if (g[0] === 0x2002) return isBlockedV4(`${g[1] >> 8}.${g[1] & 0xff}.${g[2] >> 8}.${g[2] & 0xff}`)
+  if ((g[0] & 0xfe00) === 0xfc00) return true // fc00::/7 unique local
+  if ((g[0] & 0xffc0) === 0xfe80) return true // fe80::/10 link-local
+  if ((g[0] & 0xffc0) === 0xfec0) return true // fec0::/10 site-local (deprecated)
+  if ((g[0] & 0xff00) === 0xff00) return true // multicast
+  if (g[0] === 0x2001 && g[1] === 0x0db8) return true // documentation
+  return false
+}
+
+function isPrivateIp(ip) {
+  const v = net.isIP(ip)
+  if (v === 4) return isBlockedV4(ip)
+  if (v === 6) return isBlockedV6(ip)
+  return false
+}
+
+// Reject URLs that are not plain http(s) to a public-looking host
+function validateUrl(raw) {
+  let parsed
+  try {
+    parsed = new URL(raw)
+  } catch (err) {
+    throw new SafeFetchError('INVALID_URL', 'Invalid url')
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new SafeFetchError('INVALID_PROTOCOL', 'Invalid protocol')
+  if (parsed.username || parsed.password) throw new SafeFetchError('DISALLOWED_HOST', 'Credentials in url are not allowed')
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '')
+  if (!hostname || hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal') || hostname.endsWith('.local')) {
+    throw new SafeFetchError('DISALLOWED_HOST', 'Disallowed host')
+  }
+  if (net.isIP(hostname) && isPrivateIp(hostname)) throw new SafeFetchError('DISALLOWED_IP', 'Disallowed IP')
+  return parsed
+}
+
+// dns.lookup replacement for http(s).request: resolves every address and refuses the connection if
+// any of them is private. Running at connect time also covers DNS rebinding between check and use.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(new SafeFetchError('DNS_FAILED', `Could not resolve ${hostname}`, 502))
+    if (!addresses.length) return callback(new SafeFetchError('DNS_FAILED', `Could not resolve ${hostname}`, 502))
+    const blocked = addresses.find((a) => isPrivateIp(a.address))
+    if (blocked) return callback(new SafeFetchError('DISALLOWED_RESOLVED_IP', 'Host resolves to a disallowed IP'))
+    if (options && options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+function decompress(res) {
+  const encoding = String(res.headers['content-encoding'] || '').toLowerCase()
+  if (encoding === 'gzip' || encoding === 'x-gzip') return res.pipe(zlib.createGunzip())
+  if (encoding === 'deflate') return res.pipe(zlib.createInflate())
+  if (encoding === 'br') return res.pipe(zlib.createBrotliDecompress())
+  return res
+}
+
+// One request without following redirects; resolves with headers and the buffered body
+function requestOnce(url, { method, headers, body: payload, maxBytes, allowedTypes, signal }) {
+  return new Promise((resolve, reject) => {
+    const lib = url.protocol === 'https:' ? https : http
+    const req = lib.request(url, { method, headers, lookup: guardedLookup, signal }, (res) => {
+      const status = res.statusCode
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume()
+        return resolve({ status, headers: res.headers, redirect: res.headers.location })
+      }
+      if (status === 304) {
+        res.resume()
+        return resolve({ status, headers: res.headers, contentType: '', body: Buffer.alloc(0), notModified: true })
+      }
+      if (status < 200 || status >= 300) {
+        res.resume()
+        return reject(new SafeFetchError('UPSTREAM_STATUS', `Remote responded with HTTP ${status}`, 502, status))
+      }
+      const contentType = String(res.headers['content-type'] || '').toLowerCase()
+      const mime = contentType.split(';')[0].trim()
+      if (allowedTypes && allowedTypes.length && !allowedTypes.includes(mime)) {
+        res.resume()
+        return reject(new SafeFetchError('UNSUPPORTED_CONTENT_TYPE', `Unsupported content type ${mime || '(none)'}`, 415))
+      }
+      const declared = Number(res.headers['content-length'])
+      if (declared && declared > maxBytes) {
+        res.resume()
+        return reject(new SafeFetchError('CONTENT_TOO_LARGE', 'Fetched content too large', 413))
+      }
+
+      const body = decompress(res)
+      const chunks = []
+      let received = 0
+      body.on('data', (chunk) => {
+        received += chunk.length
+        if (received > maxBytes) {
+          req.destroy()
+          body.destroy()
+          return reject(new SafeFetchError('CONTENT_TOO_LARGE', 'Fetched content too large', 413))
+        }
+        chunks.push(chunk)
+      })
+      body.on('end', () => resolve({ status, headers: res.headers, contentType, body: Buffer.concat(chunks) }))
+      body.on('error', (err) => reject(err))
+    })
+    req.on('error', reject)
+    req.end(payload)
+  })
+}
+
+/**
+ * Fetch a user-supplied URL with SSRF protection.
+ * Options: timeoutMs, maxBytes, maxRedirects, allowedTypes (mime list; empty allows any), headers,
+ * method and body (a string or Buffer; redirects are only followed for GET).
+ * Resolves with { url, status, headers, contentType, body } where body is a Buffer (notModified is set on a
+ * 304 answer to conditional request headers);
+ * rejects with SafeFetchError (err.code / err.status) when the request is blocked or fails.
+ */
+async function safeFetch(rawUrl, opts = {}) {
+  const timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS
+  const maxBytes = opts.maxBytes || DEFAULT_MAX_BYTES
+  const maxRedirects = opts.maxRedirects !== undefined ? opts.maxRedirects : DEFAULT_MAX_REDIRECTS
+  const allowedTypes = opts.allowedTypes || HTML_TYPES
+  const method = (opts.method || 'GET').toUpperCase()
+  const body = opts.body === undefined ? undefined : Buffer.from(opts.body)
+  const headers = { 'User-Agent': 'NewsDashboard/1.0', 'Accept-Encoding': 'gzip, deflate, br', ...(opts.headers || {}) }
+  if (body) headers['Content-Length'] = String(body.length)
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  try {
+    let url = validateUrl(rawUrl)
+    for (let hop = 0; ; hop++) {
+      const res = await requestOnce(url, { method, headers, body, maxBytes, allowedTypes, signal: controller.signal })
+      if (!res.redirect) return { url: url.toString(), ...res }
+      if (method !== 'GET') throw new SafeFetchError('UPSTREAM_STATUS', `Remote responded with HTTP ${res.status}`, 502, res.status)
+      if (hop >= maxRedirects) throw new SafeFetchError('TOO_MANY_REDIRECTS', 'Too many redirects', 502)
+      let next
+      try {
+        next = new URL(res.redirect, url).toString()
+      } catch (err) {
+        throw new SafeFetchError('INVALID_REDIRECT', 'Invalid redirect location', 502)
+      }
+      url = validateUrl(next)
+    }
+  } catch (err) {
+    if (err.name === 'AbortError' || controller.signal.aborted) throw new SafeFetchError('TIMEOUT', 'Timeout fetching remote', 504)
+    if (err instanceof SafeFetchError) throw err
+    throw new SafeFetchError('FETCH_FAILED', 'Failed to fetch remote', 502)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+module.exports = { safeFetch, SafeFetchError, isPrivateIp, validateUrl, HTML_TYPES }
@@ -0,0 +1,154 @@
+// Background polling of saved searches. Every tick picks the searches that are due, runs each
+// distinct query once through the news providers (and their cache), and turns articles not seen
+// before into Notification documents that are pushed to connected clients.
+const mongoose = require('mongoose')
+const SavedSearch = require('../models/SavedSearch')
+const Notification = require('../models/Notification')
+const { getNews, canonicalUrl, isConfigured } = require('./news')
+const health = require('./providerHealth')
+const hub = require('./notificationHub')
+
+const TICK_MS = Number(process.env.NEWS_POLL_TICK_MS) || 60 * 1000
+const MIN_INTERVAL_MS = Number(process.env.NEWS_POLL_INTERVAL_MS) || 15 * 60 * 1000
+// upstream calls per day the poller may spend in total, spread over the distinct queries
+const DAILY_BUDGET = Number(process.env.NEWS_POLL_DAILY_BUDGET) || 500
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000
+const BATCH_SIZE = 50
+const PAGE_SIZE = 30
+const MAX_SEEN_URLS = 500
+const MAX_NOTIFICATIONS_PER_POLL = 20
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const QUERY_FIELDS = ['q', 'category', 'country', 'language', 'provider']
+
+let timer = null
+let running = false
+
+function queryKey(search) {
+  return QUERY_FIELDS.map((f) => String(search[f] || '').trim().toLowerCase()).join('|')
+}
+
+// Poll interval that keeps all distinct queries within DAILY_BUDGET, never below MIN_INTERVAL_MS
+async function currentInterval() {
+  const active = await SavedSearch.find({ notify: true }).select(QUERY_FIELDS.join(' ')).lean()
+  const distinct = new Set(active.map(queryKey)).size
+  if (!distinct) return MIN_INTERVAL_MS
+  return Math.max(MIN_INTERVAL_MS, Math.ceil(DAY_MS / Math.max(1, DAILY_BUDGET / distinct)))
+}
+
+// When an explicitly chosen provider's circuit is open, wait until it may be retried
+function circuitRetryAt(provider) {
+  if (!provider || provider === 'auto' || provider === 'all' || !isConfigured(provider)) return null
+  const snap = health.snapshot(provider)
+  return snap.circuit === 'open' && snap.retryAt ? new Date(snap.retryAt) : null
+}
+
+async function notifyNewArticles(search, articles) {
+  const seen = new Set(search.seenUrls || [])
+  const fresh = []
+  for (const a of articles) {
+    const key = canonicalUrl(a.url)
+    if (!key || seen.has(key)) continue
+    seen.add(key)
+    fresh.push(a)
+  }
+  // the first poll only records a baseline, otherwise every new search would flood the user
+  const baseline = !search.lastPolledAt
+  let created = []
+  if (!baseline && fresh.length) {
+    created = await Notification.insertMany(
+      fresh.slice(0, MAX_NOTIFICATIONS_PER_POLL).map((a) => ({
+        userId: search.userId,
+        searchId: search._id,
+        searchName: search.name,
+        article: {
+          title: a.title || '',
+          url: a.url || '',
+          source: a.source || '',
+          provider: a.provider || '',
+          time: a.time || '',
+          description: a.description || '',
+          image: a.image || '',
+        },
+      }))
+    )
+    for (const n of created) hub.publish(String(search.userId), n.toObject())
+  }
+  const seenUrls = [...seen].slice(-MAX_SEEN_URLS)
+  return { seenUrls, created: created.length }
+}
+
+async function pollGroup(searches, interval) {
+  const first = searches[0]
+  const params = { q: first.q, category: first.category, country: first.country, language: first.language, page: '0', pageSize: String(PAGE_SIZE) }
+  const now = Date.now()
+  try {
+    const { payload } = await getNews(params, first.provider || 'auto')
+    for (const search of searches) {
+      const { seenUrls, created } = await notifyNewArticles(search, payload.articles || [])
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $set: { seenUrls, lastPolledAt: new Date(now), nextPollAt: new Date(now + interval), pollFailures: 0, lastPollError: '' } }
+      )
+      if (created) console.log(`Scheduler: ${created} new article(s) for search ${search._id}`)
+    }
+  } catch (err) {
+    const message = err.message || String(err)
+    console.warn('Scheduler: poll failed for', queryKey(first), '-', message)
+    for (const search of searches) {
+      const failures = (search.pollFailures || 0) + 1
+      const delay = Math.min(MAX_BACKOFF_MS, interval * 2 ** Math.min(failures, 10))
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $set: { nextPollAt: new Date(now + delay), pollFailures: failures, lastPollError: message } }
+      )
+    }
+  }
+}
+
+// One scheduler pass; exported so it can be triggered manually
+async function tick() {
+  if (running || mongoose.connection.readyState !== 1) return
+  running = true
+  try {
+    const interval = await currentInterval()
+    const due = await SavedSearch.find({ notify: true, $or: [{ nextPollAt: null }, { nextPollAt: { $lte: new Date() } }] })
+      .select('+seenUrls')
+      .sort({ nextPollAt: 1 })
+      .limit(BATCH_SIZE)
+
+    const groups = new Map()
+    for (const search of due) {
+      const key = queryKey(search)
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(search)
+    }
+
+    for (const searches of groups.values()) {
+      const retryAt = circuitRetryAt(searches[0].provider)
+      if (retryAt) {
+        await SavedSearch.updateMany({ _id: { $in: searches.map((s) => s._id) } }, { $set: { nextPollAt: retryAt } })
+        continue
+      }
+      await pollGroup(searches, interval)
+    }
+  } catch (err) {
+    console.error('Scheduler: tick failed', err)
+  } finally {
+    running = false
+  }
+}
+
+function start() {
+  if (timer || process.env.NEWS_POLLING === 'off') return
+  console.log(`Scheduler: polling saved searches every ${Math.round(TICK_MS / 1000)}s (min interval ${Math.round(MIN_INTERVAL_MS / 60000)}min)`)
+  timer = setInterval(() => tick(), TICK_MS)
+  timer.unref()
+}
+
+function stop() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = { start, stop, tick }
@@ -0,0 +1,28 @@
+// Offline copies of bookmarked articles: cleaned text plus an extractive summary
+const { fetchArticle } = require('./article')
+const { summarizeText } = require('./summarizer')
+
+const SUMMARY_SENTENCES = 3
+
+// Fetch and condense an article into the shape stored on Bookmark.snapshot
+async function captureSnapshot(url) {
+  const article = await fetchArticle(url)
+  const result = article.text ? summarizeText(article.text, { sentences: SUMMARY_SENTENCES, keywords: 0 }) : null
+  return {
+    status: article.text ? 'ready' : 'empty',
+    title: article.title,
+    byline: article.byline,
+    siteName: article.siteName,
+    publishedAt: article.publishedAt,
+    leadImage: article.leadImage,
+    text: article.text,
+    summary: result ? result.picked.map((p) => p.text).join(' ') : '',
+    lang: result ? result.language : '',
+    wordCount: article.wordCount,
+    readingMinutes: article.readingMinutes,
+    capturedAt: new Date(),
+    error: '',
+  }
+}
+
+module.exports = { captureSnapshot }
@@ -0,0 +1,145 @@
+// Country of an article's outlet, for filtering providers that can't filter by country themselves.
+// Sources, most reliable first: a country the provider reported, a curated list of outlet domains,
+// then the domain's country-code TLD.
+
+// Outlets on generic TLDs (.com, .org, ...) whose home country is unambiguous. Wire services and
+// outlets that publish separate editions per country are left out on purpose.
+const OUTLETS = {
+  'abcnews.go.com': 'us',
+  'apnews.com': 'us',
+  'arstechnica.com': 'us',
+  'axios.com': 'us',
+  'bloomberg.com': 'us',
+  'businessinsider.com': 'us',
+  'cbsnews.com': 'us',
+  'cnbc.com': 'us',
+  'cnn.com': 'us',
+  'engadget.com': 'us',
+  'espn.com': 'us',
+  'forbes.com': 'us',
+  'foxnews.com': 'us',
+  'latimes.com': 'us',
+  'nbcnews.com': 'us',
+  'newsweek.com': 'us',
+  'npr.org': 'us',
+  'nypost.com': 'us',
+  'nytimes.com': 'us',
+  'politico.com': 'us',
+  'techcrunch.com': 'us',
+  'thehill.com': 'us',
+  'theverge.com': 'us',
+  'time.com': 'us',
+  'usatoday.com': 'us',
+  'washingtonpost.com': 'us',
+  'wired.com': 'us',
+  'wsj.com': 'us',
+  'bbc.com': 'gb',
+  'economist.com': 'gb',
+  'ft.com': 'gb',
+  'sky.com': 'gb',
+  'theguardian.com': 'gb',
+  'thestar.com': 'ca',
+  'hindustantimes.com': 'in',
+  'indianexpress.com': 'in',
+  'indiatimes.com': 'in',
+  'livemint.com': 'in',
+  'ndtv.com': 'in',
+  'news18.com': 'in',
+  'thehindu.com': 'in',
+  'dawn.com': 'pk',
+  'aljazeera.com': 'qa',
+  'dw.com': 'de',
+  'france24.com': 'fr',
+  'euronews.com': 'fr',
+  'scmp.com': 'hk',
+  'straitstimes.com': 'sg',
+  'channelnewsasia.com': 'sg',
+  'koreaherald.com': 'kr',
+  'irishtimes.com': 'ie',
+}
+
+// Country-code TLDs that are mostly sold as generic names (.io, .co, .tv, ...) say nothing about the country
+const GENERIC_CCTLDS = new Set(['ac', 'ad', 'ag', 'ai', 'am', 'as', 'bz', 'cc', 'cd', 'co', 'fm', 'gg', 'gl', 'im', 'io', 'la', 'ly', 'me', 'ms', 'nu', 'sh', 'so', 'st', 'tk', 'to', 'tv', 'vc', 'ws'])
+// TLDs that differ from the ISO 3166 code
+const TLD_COUNTRY = { uk: 'gb', eu: '' }
+
+// Lowercased English country names -> ISO codes, for providers that report names ("united states of america")
+let countryNames = null
+
+function nameToCode(name) {
+  if (!countryNames) {
+    countryNames = new Map([
+      ['united states of america', 'us'],
+      ['usa', 'us'],
+      ['uk', 'gb'],
+      ['england', 'gb'],
+      ['south korea', 'kr'],
+      ['russia', 'ru'],
+    ])
+    const display = new Intl.DisplayNames(['en'], { type: 'region' })
+    for (let a = 65; a <= 90; a++) {
+      for (let b = 65; b <= 90; b++) {
+        const code = String.fromCharCode(a, b)
+        const label = display.of(code)
+        if (label && label !== code && label !== 'Unknown Region') countryNames.set(label.toLowerCase(), code.toLowerCase())
+      }
+    }
+  }
+  return countryNames.get(String(name).trim().toLowerCase()) || ''
+}
+
+// Country the provider attached to the article: Mediastack gives a code, NewsData a list of names
+function providerCountry(article) {
+  const o = article.original || {}
+  if (article.provider === 'mediastack' && typeof o.country === 'string' && /^[a-z]{2}$/i.test(o.country)) return o.country.toLowerCase()
+  if (article.provider === 'newsdata' && Array.isArray(o.country) && o.country.length === 1) return nameToCode(o.country[0])
+  return ''
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '')
+  } catch (e) {
+    return ''
+  }
+}
+
+// Longest listed domain the host is or is under ("edition.cnn.com" -> "cnn.com")
+function outletCountry(host) {
+  const labels = host.split('.')
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.')
+    if (OUTLETS[domain]) return OUTLETS[domain]
+  }
+  return ''
+}
+
+function tldCountry(host) {
+  const tld = host.split('.').pop()
+  if (!/^[a-z]{2}$/.test(tld) || GENERIC_CCTLDS.has(tld)) return ''
+  return tld in TLD_COUNTRY ? TLD_COUNTRY[tld] : tld
+}
+
+/**
+ * Best guess at the country of an article's outlet: { country, basis } where basis is 'provider',
+ * 'outlet' or 'tld'; country is '' when nothing is known.
+ */
+function sourceCountry(article) {
+  const fromProvider = providerCountry(article)
+  if (fromProvider) return { country: fromProvider, basis: 'provider' }
+  const host = hostOf(article.url)
+  if (!host) return { country: '', basis: '' }
+  const fromOutlet = outletCountry(host)
+  if (fromOutlet) return { country: fromOutlet, basis: 'outlet' }
+  const fromTld = tldCountry(host)
+  return fromTld ? { country: fromTld, basis: 'tld' } : { country: '', basis: '' }
+}
+
+// Articles whose outlet is known to be from the given country (ISO 3166 alpha-2, "uk" accepted for "gb")
+function filterByCountry(articles, country) {
+  const code = String(country).toLowerCase()
+  const wanted = TLD_COUNTRY[code] || code
+  return articles.filter((a) => sourceCountry(a).country === wanted)
+}
+
+module.exports = { sourceCountry, filterByCountry, OUTLETS }
@@ -0,0 +1,136 @@
+// Storage for users, sessions, bookmarks and collections. STORAGE_BACKEND picks the backend:
+//   auto (default) - the JSON file store until MongoDB first connects, MongoDB from then on
+//   mongo          - MongoDB only
+//   file           - the JSON file store only (local development without a database)
+// connect() keeps retrying MongoDB in the background, so a server started in degraded mode
+// switches to Mongo once it becomes reachable, after copying in whatever was written to the file
+// store meanwhile. It never falls back after that: requests answer 503 while MongoDB is down.
+const mongoose = require('mongoose')
+const mongoStore = require('./mongoStore')
+const fileStore = require('./fileStore')
+
+const BACKEND = String(process.env.STORAGE_BACKEND || 'auto').toLowerCase()
+const RETRY_MIN_MS = 5 * 1000
+const RETRY_MAX_MS = 5 * 60 * 1000
+
+let retryTimer = null
+let lastError = null
+let connectedOnce = false
+// auto mode: set once the file store has been imported into MongoDB
+let usingMongo = false
+let importing = false
+let lastImport = null
+
+function databaseConnected() {
+  return mongoose.connection.readyState === 1
+}
+
+function active() {
+  if (BACKEND === 'file') return fileStore
+  if (BACKEND === 'mongo') return mongoStore
+  return usingMongo ? mongoStore : fileStore
+}
+
+function countRecords(data) {
+  return data.users.length + data.sessions.length + data.bookmarks.length + data.collections.length
+}
+
+// Copy what was written in degraded mode into MongoDB, then switch over. Storage requests answer 503
+// meanwhile so nothing lands in the file store mid-copy. Until an import succeeds the file store
+// stays in use and the import is retried.
+async function importFileStore(delay = RETRY_MIN_MS) {
+  importing = true
+  try {
+    const data = await fileStore.exportData()
+    if (countRecords(data)) {
+      const { added, dropped } = await mongoStore.importFileData(data)
+      const backup = await fileStore.archive()
+      lastImport = { at: new Date(), added, dropped }
+      console.log(`Storage: imported ${added.users} users, ${added.collections} collections, ${added.bookmarks} bookmarks and ${added.sessions} sessions from the file store, which was moved to ${backup}`)
+      const clashes = dropped.users + dropped.collections + dropped.bookmarks
+      if (clashes) {
+        console.warn(`Storage: ${clashes} file store records were not imported because MongoDB already had them (users ${dropped.users}, collections ${dropped.collections}, bookmarks ${dropped.bookmarks}); they remain in ${backup}`)
+      }
+    }
+    usingMongo = true
+  } catch (err) {
+    console.error('Storage: importing the file store failed, still using it', err)
+    lastImport = { at: new Date(), error: err.message || String(err) }
+    const timer = setTimeout(() => importFileStore(Math.min(delay * 2, RETRY_MAX_MS)), delay)
+    timer.unref()
+  } finally {
+    importing = false
+  }
+}
+
+/**
+ * Connect to MongoDB, retrying with backoff until it succeeds. onConnect runs after the first
+ * successful connection (later reconnects are handled by the driver).
+ */
+function connect(uri, onConnect, delay = RETRY_MIN_MS) {
+  if (BACKEND === 'file') {
+    console.log(`Storage: using file store at ${fileStore.file}`)
+    return
+  }
+  mongoose
+    .connect(uri, { autoIndex: true })
+    .then(async () => {
+      lastError = null
+      console.log('Connected to MongoDB')
+      if (BACKEND === 'auto' && !connectedOnce) await importFileStore()
+      if (!connectedOnce && onConnect) onConnect()
+      connectedOnce = true
+    })
+    .catch((err) => {
+      lastError = err.message || String(err)
+      console.error('Mongo connection failed:', lastError)
+      if (!connectedOnce && BACKEND === 'auto') console.warn(`Storage: degraded mode, using file store at ${fileStore.file} until MongoDB is reachable`)
+      console.warn(`Storage: retrying MongoDB in ${Math.round(delay / 1000)}s`)
+      retryTimer = setTimeout(() => connect(uri, onConnect, Math.min(delay * 2, RETRY_MAX_MS)), delay)
+      retryTimer.unref()
+    })
+}
+
+// Backend in use and database reachability, for /api/ping
+function status() {
+  return {
+    backend: active().name,
+    configured: BACKEND,
+    database: databaseConnected() ? 'connected' : 'unreachable',
+    ...(lastError && !databaseConnected() ? { databaseError: lastError } : {}),
+    ...(lastImport ? { fileImport: lastImport } : {}),
+  }
+}
+
+// Middleware for routes that only exist on MongoDB: answer 503 at once instead of waiting on it
+function requireDatabase(req, res, next) {
+  if (databaseConnected()) return next()
+  res.status(503).json({ error: 'Database unavailable' })
+}
+
+// Middleware for routes on the storage proxy: 503 while the file store is being imported, or while
+// the backend in use is MongoDB and it's down
+function requireStorage(req, res, next) {
+  if (importing) return res.status(503).set('Retry-After', '5').json({ error: 'Storage is being migrated, try again shortly' })
+  if (active() === fileStore || databaseConnected()) return next()
+  res.status(503).json({ error: 'Database unavailable' })
+}
+
+// Write out pending file store changes; a no-op when nothing is pending
+function flush() {
+  return fileStore.flush()
+}
+
+// The active backend's methods, resolved per call so a reconnect takes effect immediately
+const storage = new Proxy(
+  {},
+  {
+    get(target, prop) {
+      const store = active()
+      const value = store[prop]
+      return typeof value === 'function' ? value.bind(store) : value
+    },
+  }
+)
+
+module.exports = { storage, connect, status, databaseConnected, requireDatabase, requireStorage, flush }
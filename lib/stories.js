@@ -0,0 +1,106 @@
+// Story clustering: groups articles from different outlets that report the same event, comparing
+// TF-IDF term vectors of their titles and descriptions with the summarizer's cosine similarity.
+const crypto = require('crypto')
+const { buildSentenceVectors, cosineSim, summarizeText } = require('./summarizer')
+const { phraseSeparator } = require('./language')
+const { canonicalUrl } = require('./news')
+
+const DEFAULT_THRESHOLD = 0.3
+// titles carry the event; descriptions add context but also boilerplate
+const TITLE_WEIGHT = 2
+const DESCRIPTION_WEIGHT = 1
+
+function time(a) {
+  const t = new Date(a.time).getTime()
+  return Number.isNaN(t) ? 0 : t
+}
+
+// One vector per article: weighted title and description vectors sharing a vocabulary and IDF
+function articleVectors(articles, lang) {
+  const texts = [...articles.map((a) => a.title || ''), ...articles.map((a) => a.description || '')]
+  const { vectors } = buildSentenceVectors(texts, lang)
+  return articles.map((a, i) => {
+    const v = {}
+    for (const [k, w] of Object.entries(vectors[i])) v[k] = w * TITLE_WEIGHT
+    for (const [k, w] of Object.entries(vectors[articles.length + i])) v[k] = (v[k] || 0) + w * DESCRIPTION_WEIGHT
+    return v
+  })
+}
+
+function addInto(target, v) {
+  for (const k in v) target[k] = (target[k] || 0) + v[k]
+}
+
+function storyId(article) {
+  return crypto
+    .createHash('sha1')
+    .update(canonicalUrl(article.url) || article.title || '')
+    .digest('hex')
+    .slice(0, 12)
+}
+
+// Extractive summary across the members' titles and descriptions
+function combinedSummary(members, lang, sentences) {
+  const text = members.map((a) => [a.title, a.description].filter(Boolean).join('. ')).join('\n')
+  const result = summarizeText(text, { lang, sentences, keywords: 0 })
+  return result ? result.picked.map((p) => p.text).join(phraseSeparator(result.language)) : ''
+}
+
+/**
+ * Cluster articles into stories. Each article joins the most similar existing story when the cosine
+ * similarity to the story's centroid reaches opts.threshold, otherwise it starts a new one.
+ * Options: lang, threshold (0-1), minSize, summary (bool), sentences (per summary).
+ * Returns stories sorted by number of articles, then most recent coverage.
+ */
+function clusterStories(articles, opts = {}) {
+  const threshold = opts.threshold !== undefined ? opts.threshold : DEFAULT_THRESHOLD
+  const lang = opts.lang || 'en'
+  // oldest first, so a story's first member is the earliest report
+  const sorted = [...articles].sort((a, b) => time(a) - time(b))
+  const vectors = articleVectors(sorted, lang)
+
+  const clusters = []
+  sorted.forEach((article, i) => {
+    let best = null
+    let bestSim = threshold
+    for (const c of clusters) {
+      const sim = cosineSim(vectors[i], c.centroid)
+      if (sim >= bestSim) {
+        best = c
+        bestSim = sim
+      }
+    }
+    if (!best) {
+      best = { centroid: {}, members: [] }
+      clusters.push(best)
+    }
+    best.members.push({ article, vector: vectors[i] })
+    addInto(best.centroid, vectors[i])
+  })
+
+  const stories = clusters
+    .filter((c) => c.members.length >= (opts.minSize || 1))
+    .map((c) => {
+      // the headline is the member closest to the story as a whole
+      const rep = c.members.reduce((top, m) => (cosineSim(m.vector, c.centroid) > cosineSim(top.vector, c.centroid) ? m : top)).article
+      const members = c.members.map((m) => m.article)
+      const times = members.map(time).filter(Boolean)
+      const story = {
+        id: storyId(rep),
+        headline: rep.title,
+        url: rep.url,
+        image: rep.image || (members.find((a) => a.image) || {}).image || '',
+        size: members.length,
+        sources: [...new Set(members.map((a) => a.source).filter(Boolean))],
+        earliest: times.length ? new Date(Math.min(...times)).toISOString() : '',
+        latest: times.length ? new Date(Math.max(...times)).toISOString() : '',
+        articles: members.map(({ id, title, url, source, provider, time: t }) => ({ id, title, url, source, provider, time: t })),
+      }
+      if (opts.summary) story.summary = combinedSummary(members, lang, opts.sentences)
+      return story
+    })
+
+  return stories.sort((a, b) => b.size - a.size || String(b.latest).localeCompare(String(a.latest)))
+}
+
+module.exports = { clusterStories, DEFAULT_THRESHOLD }
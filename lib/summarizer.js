@@ -0,0 +1,186 @@
+// Extractive summarization: TextRank over TF-IDF sentence vectors, plus keyword extraction
+const { detectLanguage, normalizeLang, splitSentences, words, contentWords, phraseSeparator } = require('./language')
+
+function tokenize(s, lang) {
+  return contentWords(s, lang)
+}
+
+// Sentence vectors weighted by TF-IDF, treating each sentence as a document, so words that
+// appear everywhere in the article count for less than distinctive ones
+function buildSentenceVectors(sentences, lang) {
+  const vocab = new Map()
+  let idx = 0
+  const counts = []
+  const docFreq = []
+  for (const s of sentences) {
+    const toks = tokenize(s, lang)
+    const freq = {}
+    for (const t of toks) {
+      if (!vocab.has(t)) vocab.set(t, idx++)
+      const id = vocab.get(t)
+      if (!freq[id]) docFreq[id] = (docFreq[id] || 0) + 1
+      freq[id] = (freq[id] || 0) + 1
+    }
+    counts.push(freq)
+  }
+  const n = sentences.length
+  const vectors = counts.map((freq) => {
+    const v = {}
+    for (const id in freq) v[id] = freq[id] * (Math.log((1 + n) / (1 + docFreq[id])) + 1)
+    return v
+  })
+  return { vectors, vocabSize: vocab.size }
+}
+
+function cosineSim(a, b) {
+  let dot = 0
+  let na = 0
+  let nb = 0
+  for (const k in a) {
+    const av = a[k]
+    na += av * av
+    if (b[k]) dot += av * b[k]
+  }
+  for (const k in b) {
+    const bv = b[k]
+    nb += bv * bv
+  }
+  if (na === 0 || nb === 0) return 0
+  return dot / (Math.sqrt(na) * Math.sqrt(nb))
+}
+
+function textRank(sentences, vectors, opts = {}) {
+  const d = opts.damping || 0.85
+  const iters = opts.iters || 20
+  const n = sentences.length
+  if (n === 0) return []
+  if (n === 1) return [{ idx: 0, score: 1 }]
+  // build similarity matrix
+  const sim = Array.from({ length: n }, () => Array(n).fill(0))
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const s = cosineSim(vectors[i], vectors[j])
+      sim[i][j] = s
+      sim[j][i] = s
+    }
+  }
+  // normalize rows
+  const rowSum = sim.map((row) => row.reduce((a, b) => a + b, 0))
+  const scores = new Array(n).fill(1 / n)
+  for (let it = 0; it < iters; it++) {
+    const next = new Array(n).fill((1 - d) / n)
+    for (let i = 0; i < n; i++) {
+      if (rowSum[i] === 0) continue
+      for (let j = 0; j < n; j++) {
+        if (sim[j][i] <= 0) continue
+        next[i] += d * (sim[j][i] / rowSum[j]) * scores[j]
+      }
+    }
+    for (let k = 0; k < n; k++) scores[k] = next[k]
+  }
+  return scores.map((s, idx) => ({ idx, score: s })).sort((a, b) => b.score - a.score)
+}
+
+// upper bound on sentences fed to textRank; the similarity matrix is O(n^2)
+const MAX_SENTENCES = 400
+// candidate words ranked for keywords, by frequency
+const MAX_KEYWORD_CANDIDATES = 150
+
+// Rank words with the same textRank machinery: each word's vector is its count per sentence,
+// so cosine similarity between words measures how often they occur together.
+function extractKeywords(sentences, lang, limit = 10) {
+  const freq = new Map()
+  for (const s of sentences) for (const t of tokenize(s, lang)) freq.set(t, (freq.get(t) || 0) + 1)
+  const terms = [...freq.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_KEYWORD_CANDIDATES).map(([w]) => w)
+  if (terms.length === 0) return []
+  const index = new Map(terms.map((w, i) => [w, i]))
+  const vectors = terms.map(() => ({}))
+  sentences.forEach((s, si) => {
+    for (const t of tokenize(s, lang)) {
+      if (!index.has(t)) continue
+      const v = vectors[index.get(t)]
+      v[si] = (v[si] || 0) + 1
+    }
+  })
+  const ranked = textRank(terms, vectors, { damping: 0.85, iters: 30 })
+  // weight centrality by frequency so one-off words that share a sentence with everything don't win
+  const scores = new Map(ranked.map((r) => [terms[r.idx], r.score * Math.log(1 + freq.get(terms[r.idx]))]))
+
+  // keyphrases: runs of 2-3 adjacent top-ranked words in the original text
+  const topWords = new Set([...scores.entries()].sort((a, b) => b[1] - a[1]).slice(0, Math.max(5, Math.ceil(terms.length / 3))).map(([w]) => w))
+  const phrases = new Map()
+  for (const s of sentences) {
+    let run = []
+    for (const w of [...words(s, lang), '']) {
+      if (topWords.has(w) && run.length < 3) {
+        run.push(w)
+        continue
+      }
+      if (run.length >= 2) {
+        const phrase = run.join(phraseSeparator(lang))
+        const entry = phrases.get(phrase) || { words: run, score: run.reduce((sum, t) => sum + scores.get(t), 0), count: 0 }
+        entry.count++
+        phrases.set(phrase, entry)
+      }
+      run = topWords.has(w) ? [w] : []
+    }
+  }
+
+  const candidates = [...phrases.entries()].filter(([, e]) => e.count > 1).map(([term, e]) => ({ term, words: e.words, score: e.score }))
+  const inPhrase = new Set(candidates.flatMap((c) => c.words))
+  for (const [term, score] of scores) if (!inPhrase.has(term)) candidates.push({ term, score })
+  candidates.sort((a, b) => b.score - a.score)
+  const max = candidates.length ? candidates[0].score : 1
+  return candidates.slice(0, limit).map((c) => ({ term: c.term, score: Number((c.score / max).toFixed(4)) }))
+}
+
+// Number of sentences to keep: explicit count, else ratio, else 20% capped at 3 (short texts are kept whole)
+function summaryLength(total, { sentences, ratio }) {
+  if (sentences) return Math.min(total, sentences)
+  if (ratio) return Math.min(total, Math.max(1, Math.round(total * ratio)))
+  if (total <= 3) return total
+  return Math.min(3, Math.max(1, Math.floor(total * 0.2)))
+}
+
+// Pick the best-ranked sentences within the length limits, returned in source order
+function selectSentences(sentences, ranked, opts) {
+  const count = summaryLength(sentences.length, opts)
+  const picked = []
+  let chars = 0
+  for (const r of ranked) {
+    if (picked.length >= count) break
+    const len = sentences[r.idx].length + (picked.length ? 1 : 0)
+    if (opts.maxChars && chars + len > opts.maxChars) continue
+    picked.push(r)
+    chars += len
+  }
+  // nothing fits under maxChars: fall back to the best sentence, truncated
+  if (picked.length === 0 && ranked.length) {
+    const best = ranked[0]
+    return [{ ...best, text: sentences[best.idx].slice(0, opts.maxChars).trim() }]
+  }
+  return picked.sort((a, b) => a.idx - b.idx).map((r) => ({ ...r, text: sentences[r.idx] }))
+}
+
+/**
+ * Summarize text. Options: lang (detected when omitted), sentences, ratio, maxChars, keywords (count, 0 skips them).
+ * Returns null when there are no sentences, else { picked: [{ idx, score, text }], sentenceCount, language,
+ * languageDetected, keywords }.
+ */
+function summarizeText(text, opts = {}) {
+  const sentences = splitSentences(text).slice(0, MAX_SENTENCES)
+  if (sentences.length === 0) return null
+  const language = normalizeLang(opts.lang) || detectLanguage(text)
+  const { vectors } = buildSentenceVectors(sentences, language)
+  const ranked = textRank(sentences, vectors, { damping: 0.85, iters: 30 })
+  const picked = selectSentences(sentences, ranked, opts)
+  return {
+    picked,
+    sentenceCount: sentences.length,
+    language,
+    languageDetected: !opts.lang,
+    keywords: opts.keywords ? extractKeywords(sentences, language, opts.keywords) : [],
+  }
+}
+
+module.exports = { tokenize, buildSentenceVectors, cosineSim, textRank, extractKeywords, summarizeText }
@@ -0,0 +1,141 @@
+// Session tokens: short-lived JWT access tokens plus opaque, rotating refresh tokens kept in storage
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { storage } = require('./storage')
+
+const DEV_SECRET = 'change_this_secret'
+const JWT_SECRET = process.env.JWT_SECRET || DEV_SECRET
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+const STREAM_TICKET_TTL = '60s'
+// stream tickets have their own key, so nothing that checks access tokens accepts one
+const STREAM_TICKET_SECRET = `${JWT_SECRET}:notifications-stream`
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message)
+    this.name = 'AuthError'
+    this.status = status
+  }
+}
+
+// Throws when running in production without a real JWT_SECRET; called once at startup
+function assertSecretConfigured() {
+  if (process.env.NODE_ENV !== 'production') return
+  const secret = process.env.JWT_SECRET
+  if (!secret || secret === DEV_SECRET) throw new Error('JWT_SECRET must be set in production')
+  if (secret.length < 32) console.warn('Server: JWT_SECRET is shorter than 32 characters; use a long random value')
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex')
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url')
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ userId: user._id, email: user.email }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+}
+
+// Short-lived ticket that only opens the notification stream, for EventSource URLs (which end up
+// in logs and history, so they must not carry a reusable credential)
+function signStreamTicket(userId) {
+  return jwt.sign({ userId }, STREAM_TICKET_SECRET, { expiresIn: STREAM_TICKET_TTL })
+}
+
+// The user id a stream ticket was issued to, or null when it is invalid or expired
+function verifyStreamTicket(ticket) {
+  try {
+    return jwt.verify(String(ticket), STREAM_TICKET_SECRET).userId || null
+  } catch (err) {
+    return null
+  }
+}
+
+function accessTokenSeconds(token) {
+  const decoded = jwt.decode(token)
+  return decoded && decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : 0
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: String((req && req.headers['user-agent']) || '').slice(0, 300),
+    ip: (req && req.ip) || '',
+  }
+}
+
+/**
+ * Issue an access token and a new refresh token. family continues an existing session on rotation;
+ * without it a new session starts. Returns { token, refreshToken, expiresIn, family }.
+ */
+async function issueSession(user, req, family) {
+  const refreshToken = randomToken()
+  const sessionFamily = family || crypto.randomUUID()
+  await storage.createSession({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family: sessionFamily,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000),
+    ...clientInfo(req),
+  })
+  const token = signAccessToken(user)
+  return { token, refreshToken, expiresIn: accessTokenSeconds(token), family: sessionFamily }
+}
+
+/**
+ * Exchange a refresh token for a new pair. The old token is revoked; presenting an already
+ * rotated token means it leaked, so its whole family is revoked. Resolves with the stored record;
+ * the caller loads the user and calls issueSession with record.family.
+ */
+async function consumeRefreshToken(raw) {
+  if (!raw) throw new AuthError('Missing refresh token', 400)
+  const record = await storage.findSessionByHash(hashToken(raw))
+  if (!record) throw new AuthError('Invalid refresh token')
+  if (record.revokedAt) {
+    await revokeFamily(record.family)
+    throw new AuthError('Refresh token reused; session revoked')
+  }
+  if (record.expiresAt <= new Date()) throw new AuthError('Refresh token expired')
+  const claimed = await storage.claimSession(record._id)
+  // lost a race with a concurrent refresh of the same token: treat as reuse
+  if (!claimed) {
+    await revokeFamily(record.family)
+    throw new AuthError('Refresh token reused; session revoked')
+  }
+  return claimed
+}
+
+async function revokeFamily(family) {
+  await storage.revokeSessionFamily(family)
+}
+
+// Log out the session a refresh token belongs to; unknown tokens are ignored
+async function revokeRefreshToken(raw) {
+  const record = await storage.findSessionByHash(hashToken(raw))
+  if (record) await revokeFamily(record.family)
+  return Boolean(record)
+}
+
+// Revoke every session of a user, optionally keeping one family (the caller's own session)
+function revokeAllSessions(userId, exceptFamily) {
+  return storage.revokeUserSessions(userId, exceptFamily)
+}
+
+module.exports = {
+  JWT_SECRET,
+  AuthError,
+  assertSecretConfigured,
+  hashToken,
+  randomToken,
+  signAccessToken,
+  signStreamTicket,
+  verifyStreamTicket,
+  accessTokenSeconds,
+  issueSession,
+  consumeRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  revokeAllSessions,
+}
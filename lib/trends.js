@@ -0,0 +1,196 @@
+// Trending topics: headlines proxied through /api/news are recorded with the terms extracted from
+// their titles, and windows of them are compared to find the terms that are rising.
+const mongoose = require('mongoose')
+const Headline = require('../models/Headline')
+const { words, contentWords, isStopword, phraseSeparator } = require('./language')
+const { canonicalUrl } = require('./news')
+
+const { TRENDS_RETENTION_DAYS } = Headline
+const RECORDING = String(process.env.TRENDS_RECORDING || 'on').toLowerCase() !== 'off'
+const MAX_TERMS_PER_TITLE = 20
+const MAX_RECORDED_PER_CALL = 100
+// share of capitalized words above which a title is Title Case and capitalization says nothing
+const TITLE_CASE_RATIO = 0.7
+
+// Words in their original case, for spotting capitalized phrases
+function casedWords(title) {
+  return String(title || '').normalize('NFKC').match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’.&-]*/gu) || []
+}
+
+function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word)
+}
+
+// Named-entity-like runs of capitalized words ("European Central Bank", "Elon Musk"). A lone
+// capitalized first word is skipped, since every title starts with one.
+function capitalizedPhrases(title, lang) {
+  const tokens = casedWords(title).map((w) => w.replace(/[.'’-]+$/, ''))
+  const significant = tokens.filter((w) => !isStopword(w.toLowerCase(), lang))
+  if (significant.length >= 4 && significant.filter(isCapitalized).length / significant.length > TITLE_CASE_RATIO) return []
+
+  const phrases = []
+  let run = []
+  const flush = () => {
+    while (run.length && isStopword(run[0].word.toLowerCase(), lang)) run.shift()
+    while (run.length && isStopword(run[run.length - 1].word.toLowerCase(), lang)) run.pop()
+    if (run.length > 1 || (run.length === 1 && run[0].index > 0 && [...run[0].word].length > 1)) {
+      phrases.push(run.slice(0, 4).map((r) => r.word.toLowerCase()).join(' '))
+    }
+    run = []
+  }
+  tokens.forEach((word, index) => {
+    if (isCapitalized(word)) run.push({ word, index })
+    else flush()
+  })
+  flush()
+  return phrases
+}
+
+// Content-word keyphrases: single words plus pairs of adjacent content words
+function keyphrases(title, lang) {
+  const content = new Set(contentWords(title, lang))
+  const all = words(title, lang)
+  const out = [...content]
+  for (let i = 0; i + 1 < all.length; i++) {
+    if (content.has(all[i]) && content.has(all[i + 1])) out.push(`${all[i]}${phraseSeparator(lang)}${all[i + 1]}`)
+  }
+  return out
+}
+
+/**
+ * Lowercased trend terms of one headline: capitalized phrases first, then keyphrases.
+ */
+function extractTerms(title, lang = 'en') {
+  const terms = new Set([...capitalizedPhrases(title, lang), ...keyphrases(title, lang)])
+  return [...terms].slice(0, MAX_TERMS_PER_TITLE)
+}
+
+/**
+ * Record a batch of proxied articles with the request's category and country. Each article is stored
+ * once (by canonical URL, else title); failures are logged, never thrown.
+ */
+async function recordHeadlines(articles, params = {}) {
+  if (!RECORDING || mongoose.connection.readyState !== 1) return
+  const lang = params.language || 'en'
+  const now = new Date()
+  const ops = []
+  for (const a of (articles || []).slice(0, MAX_RECORDED_PER_CALL)) {
+    if (!a.title) continue
+    const key = canonicalUrl(a.url) || `title:${a.title.trim().toLowerCase()}`
+    const published = new Date(a.time)
+    // future timestamps are clock skew at the provider; treat them as now
+    const time = Number.isNaN(published.getTime()) || published > now ? now : published
+    ops.push({
+      updateOne: {
+        filter: { key },
+        update: {
+          $setOnInsert: {
+            key,
+            title: a.title,
+            url: a.url || '',
+            source: a.source || '',
+            provider: a.provider || '',
+            category: String(params.category || '').toLowerCase(),
+            country: String(params.country || '').toLowerCase(),
+            language: lang,
+            terms: extractTerms(a.title, lang),
+            time,
+            seenAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })
+  }
+  if (!ops.length) return
+  try {
+    await Headline.bulkWrite(ops, { ordered: false })
+  } catch (err) {
+    console.warn('Trends: could not record headlines:', err.message || err)
+  }
+}
+
+// Term as it is usually written, taken from a sample title ("elon musk" -> "Elon Musk")
+function labelFor(term, samples) {
+  const pattern = new RegExp(term.split(' ').map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'iu')
+  for (const s of samples) {
+    const m = pattern.exec(s.title)
+    if (m) return m[0]
+  }
+  return term
+}
+
+/**
+ * Rising terms in the window ending now compared with the baseline period before it (by default one
+ * more window). A longer baseline is scaled to the window's length, so "24h against the past 7d"
+ * compares today with an average day of the week before.
+ * Options: windowMs, baselineMs, category, country, limit, minCount, samples.
+ * Returns { from, to, previousFrom, headlines: { current, previous }, terms }.
+ */
+async function risingTerms({ windowMs, baselineMs = windowMs, category = '', country = '', limit = 20, minCount = 2, samples = 3 }) {
+  const to = new Date()
+  const from = new Date(to.getTime() - windowMs)
+  const previousFrom = new Date(from.getTime() - baselineMs)
+  const scale = windowMs / baselineMs
+  const match = { time: { $gte: previousFrom, $lte: to } }
+  if (category) match.category = category.toLowerCase()
+  if (country) match.country = country.toLowerCase()
+
+  const current = { $cond: [{ $gte: ['$time', from] }, 1, 0] }
+  const previous = { $cond: [{ $lt: ['$time', from] }, 1, 0] }
+  const [totals] = await Headline.aggregate([{ $match: match }, { $group: { _id: null, current: { $sum: current }, previous: { $sum: previous } } }])
+  const counts = await Headline.aggregate([
+    { $match: match },
+    { $unwind: '$terms' },
+    { $group: { _id: '$terms', count: { $sum: current }, previous: { $sum: previous } } },
+    { $match: { count: { $gte: minCount } } },
+  ])
+
+  // more mentions than the baseline, weighted by volume so one extra mention of a rare term doesn't top the list
+  const scored = counts
+    .map((c) => ({ term: c._id, count: c.count, previous: c.previous, expected: c.previous * scale }))
+    .filter((c) => c.count > c.expected)
+    .map((c) => ({ ...c, score: c.count * Math.log2((c.count + 1) / (c.expected + 1)) }))
+    .sort((a, b) => b.score - a.score || b.term.length - a.term.length)
+
+  // drop parts of a rising phrase that rise with it ("musk" and "central bank" under "elon musk", "european central bank")
+  const picked = []
+  for (const t of scored) {
+    if (picked.length >= limit) break
+    const covered = picked.some((p) => p.count === t.count && ` ${p.term} `.includes(` ${t.term} `))
+    if (!covered) picked.push(t)
+  }
+
+  const terms = await Promise.all(
+    picked.map(async (t) => {
+      const sample = samples
+        ? await Headline.find({ ...match, terms: t.term, time: { $gte: from, $lte: to } })
+          .select('title url source provider time -_id')
+          .sort({ time: -1 })
+          .limit(samples)
+          .lean()
+        : []
+      return {
+        term: t.term,
+        label: labelFor(t.term, sample),
+        count: t.count,
+        previous: t.previous,
+        expected: Number(t.expected.toFixed(2)),
+        change: Number((t.count - t.expected).toFixed(2)),
+        changePct: t.expected ? Math.round(((t.count - t.expected) / t.expected) * 100) : null,
+        score: Number(t.score.toFixed(3)),
+        samples: sample,
+      }
+    })
+  )
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    previousFrom: previousFrom.toISOString(),
+    headlines: { current: totals ? totals.current : 0, previous: totals ? totals.previous : 0 },
+    terms,
+  }
+}
+
+module.exports = { extractTerms, recordHeadlines, risingTerms, TRENDS_RETENTION_DAYS }
@@ -0,0 +1,231 @@
+// Outbound webhooks for bookmark events. Every event becomes a WebhookDelivery per subscribed
+// endpoint; the first attempt is made right away and failures are retried with exponential backoff
+// by a background tick. Payloads are signed with the webhook's secret:
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>">
+// Endpoints that keep failing are disabled.
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const Webhook = require('../models/Webhook')
+const WebhookDelivery = require('../models/WebhookDelivery')
+const { safeFetch } = require('./safeFetch')
+const { randomToken } = require('./tokens')
+
+const TICK_MS = Number(process.env.WEBHOOK_RETRY_TICK_MS) || 30 * 1000
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6
+const RETRY_BASE_MS = 30 * 1000
+// consecutive failed attempts after which a webhook is disabled
+const DISABLE_AFTER = Number(process.env.WEBHOOK_DISABLE_AFTER) || 15
+const TIMEOUT_MS = 10 * 1000
+const MAX_RESPONSE_BYTES = 64 * 1024
+const BATCH_SIZE = 50
+const SECRET_PREFIX = 'whsec_'
+
+let timer = null
+let running = false
+
+function generateSecret() {
+  return `${SECRET_PREFIX}${randomToken(24)}`
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// Bookmark fields sent to webhooks; snapshots stay private
+function bookmarkData(bm) {
+  return {
+    id: String(bm._id),
+    title: bm.title || '',
+    url: bm.url || '',
+    source: bm.source || '',
+    notes: bm.notes || '',
+    tags: bm.tags || [],
+    collectionId: bm.collectionId ? String(bm.collectionId) : null,
+    status: bm.status || 'unread',
+    progress: bm.progress || 0,
+    readAt: bm.readAt || null,
+    savedAt: bm.savedAt || null,
+    createdAt: bm.createdAt || null,
+    updatedAt: bm.updatedAt || null,
+  }
+}
+
+function slackEscape(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+const SLACK_HEADLINES = {
+  'bookmark.created': ':bookmark: New bookmark',
+  'bookmark.updated': ':pencil2: Bookmark updated',
+  'bookmark.deleted': ':wastebasket: Bookmark deleted',
+}
+
+// Slack incoming-webhook message: one mrkdwn line plus tags and notes when present
+function slackMessage(event, bookmark, test) {
+  const link = bookmark.url ? `<${bookmark.url}|${slackEscape(bookmark.title || bookmark.url)}>` : slackEscape(bookmark.title)
+  const lines = [`${test ? '[test] ' : ''}${SLACK_HEADLINES[event] || event}: ${link}${bookmark.source ? ` (${slackEscape(bookmark.source)})` : ''}`]
+  if (bookmark.tags && bookmark.tags.length) lines.push(`Tags: ${bookmark.tags.map((t) => `\`${slackEscape(t)}\``).join(' ')}`)
+  if (bookmark.notes) lines.push(`> ${slackEscape(bookmark.notes).replace(/\n/g, '\n> ')}`)
+  return { text: lines.join('\n') }
+}
+
+function buildBody(webhook, deliveryId, event, bookmark, test) {
+  if (webhook.format === 'slack') return JSON.stringify(slackMessage(event, bookmark, test))
+  return JSON.stringify({ id: String(deliveryId), event, createdAt: new Date().toISOString(), test: Boolean(test), data: { bookmark } })
+}
+
+// nextAttemptAt while an attempt is in flight: if it never records a result, the retry tick picks the delivery up
+function lease() {
+  return new Date(Date.now() + RETRY_BASE_MS)
+}
+
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * 4 ** Math.max(0, attempts - 1)
+}
+
+// Record the outcome of an attempt on the webhook; disables it after DISABLE_AFTER failures in a row
+async function recordOutcome(webhook, ok, lastStatus) {
+  if (ok) {
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { consecutiveFailures: 0, lastDeliveryAt: new Date(), lastStatus } })
+    return
+  }
+  const updated = await Webhook.findOneAndUpdate(
+    { _id: webhook._id },
+    { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: new Date(), lastStatus } },
+    { new: true }
+  )
+  if (updated && updated.active && updated.consecutiveFailures >= DISABLE_AFTER) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { active: false, disabledAt: new Date(), disabledReason: `${updated.consecutiveFailures} consecutive failed deliveries` } }
+    )
+    console.warn(`Webhooks: disabled ${webhook._id} after ${updated.consecutiveFailures} consecutive failures`)
+  }
+}
+
+/**
+ * POST one delivery to its webhook (which must include the secret) and store the result.
+ * Test deliveries get a single attempt and don't count towards disabling the webhook.
+ * Resolves with the updated delivery.
+ */
+async function attempt(delivery, webhook) {
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': String(delivery._id),
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, delivery.body)}`,
+  }
+  const started = Date.now()
+  let responseStatus = null
+  let error = ''
+  try {
+    const res = await safeFetch(webhook.url, { method: 'POST', body: delivery.body, headers, timeoutMs: TIMEOUT_MS, maxBytes: MAX_RESPONSE_BYTES, maxRedirects: 0, allowedTypes: [] })
+    responseStatus = res.status
+  } catch (err) {
+    responseStatus = err.upstreamStatus || null
+    error = err.message || String(err)
+  }
+
+  const ok = !error
+  const attempts = (delivery.attempts || 0) + 1
+  const retry = !ok && !delivery.test && attempts < MAX_ATTEMPTS
+  const update = {
+    status: ok ? 'succeeded' : retry ? 'pending' : 'failed',
+    attempts,
+    nextAttemptAt: retry ? new Date(Date.now() + retryDelay(attempts)) : null,
+    responseStatus,
+    error,
+    durationMs: Date.now() - started,
+  }
+  const saved = await WebhookDelivery.findOneAndUpdate({ _id: delivery._id }, { $set: update }, { new: true }).lean()
+  if (!delivery.test) await recordOutcome(webhook, ok, ok ? `HTTP ${responseStatus}` : error)
+  return saved
+}
+
+/**
+ * Queue an event for every active webhook of the user subscribed to it and make the first attempt
+ * in the background. Never throws; does nothing while MongoDB is unavailable.
+ */
+async function emit(userId, event, bookmark) {
+  if (mongoose.connection.readyState !== 1) return
+  try {
+    const hooks = await Webhook.find({ userId, active: true, events: event }).select('+secret').lean()
+    const data = bookmarkData(bookmark)
+    for (const webhook of hooks) {
+      const _id = new mongoose.Types.ObjectId()
+      const delivery = await WebhookDelivery.create({ _id, webhookId: webhook._id, userId, event, body: buildBody(webhook, _id, event, data), nextAttemptAt: lease() })
+      attempt(delivery.toObject(), webhook).catch((err) => console.warn('Webhooks: delivery failed to record:', err.message || err))
+    }
+  } catch (err) {
+    console.warn(`Webhooks: could not queue ${event}:`, err.message || err)
+  }
+}
+
+// A sample bookmark.created delivery, sent once and awaited, for checking an endpoint's setup
+async function sendTest(webhook) {
+  const sample = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Example bookmark from your news dashboard',
+    url: 'https://example.com/article',
+    source: 'example.com',
+    notes: 'This is a test event.',
+    tags: ['test'],
+    savedAt: new Date(),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  }
+  const _id = new mongoose.Types.ObjectId()
+  const event = 'bookmark.created'
+  const delivery = await WebhookDelivery.create({
+    _id,
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event,
+    body: buildBody(webhook, _id, event, bookmarkData(sample), true),
+    test: true,
+  })
+  return attempt(delivery.toObject(), webhook)
+}
+
+// One retry pass over pending deliveries that are due; exported so it can be triggered manually
+async function tick() {
+  if (running || mongoose.connection.readyState !== 1) return
+  running = true
+  try {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean()
+    for (const delivery of due) {
+      // claim it, so another instance's tick doesn't send it too
+      const claimed = await WebhookDelivery.updateOne({ _id: delivery._id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt }, { $set: { nextAttemptAt: lease() } })
+      if (!claimed.modifiedCount) continue
+      const webhook = await Webhook.findById(delivery.webhookId).select('+secret').lean()
+      if (!webhook || !webhook.active) {
+        const error = webhook ? 'Webhook disabled' : 'Webhook deleted'
+        await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed', nextAttemptAt: null, error } })
+        continue
+      }
+      await attempt(delivery, webhook)
+    }
+  } catch (err) {
+    console.error('Webhooks: retry tick failed', err)
+  } finally {
+    running = false
+  }
+}
+
+function start() {
+  if (timer) return
+  timer = setInterval(() => tick(), TICK_MS)
+  timer.unref()
+}
+
+function stop() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = { emit, sendTest, tick, start, stop, generateSecret, sign, MAX_ATTEMPTS, DISABLE_AFTER }
@@ -0,0 +1,64 @@
+// Tiny non-validating XML parser for feeds. Produces { name, attrs, children } element nodes and
+// { text } text nodes; CDATA is returned as text, names keep their namespace prefix ("media:content").
+const { decodeEntities } = require('./html')
+
+function parseAttrs(src) {
+  const attrs = {}
+  const re = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  let m
+  while ((m = re.exec(src))) attrs[m[1]] = decodeEntities(m[2] !== undefined ? m[2] : m[3])
+  return attrs
+}
+
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [] }
+  const stack = [root]
+  const current = () => stack[stack.length - 1]
+  const tokenRe = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/gi
+  let last = 0
+  let m
+  while ((m = tokenRe.exec(xml))) {
+    const text = xml.slice(last, m.index)
+    if (text.trim()) current().children.push({ text: decodeEntities(text) })
+    last = tokenRe.lastIndex
+    if (m[1] !== undefined) {
+      current().children.push({ text: m[1] })
+    } else if (m[2]) {
+      // close the nearest matching element; tolerate stray end tags
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === m[2]) {
+          stack.length = i
+          break
+        }
+      }
+    } else if (m[3]) {
+      const node = { name: m[3], attrs: parseAttrs(m[4] || ''), children: [] }
+      current().children.push(node)
+      if (!m[5]) stack.push(node)
+    }
+  }
+  return root
+}
+
+// Local name without namespace prefix, lowercased ("media:content" -> "content")
+function localName(node) {
+  return node.name ? node.name.replace(/^.*:/, '').toLowerCase() : ''
+}
+
+// Child elements by exact (prefixed) name, case-insensitive
+function children(node, name) {
+  const lower = name.toLowerCase()
+  return (node.children || []).filter((c) => c.name && c.name.toLowerCase() === lower)
+}
+
+function child(node, name) {
+  return children(node, name)[0] || null
+}
+
+function text(node) {
+  if (!node) return ''
+  if (node.text !== undefined) return node.text
+  return node.children.map(text).join('')
+}
+
+module.exports = { parseXml, localName, children, child, text }
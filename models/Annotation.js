@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+const ANNOTATION_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple']
+
+// The highlighted passage, W3C TextQuoteSelector style: the exact text plus a little context on
+// either side, so it can be found again in a fresh extraction of the article
+const SelectorSchema = new mongoose.Schema({
+  exact: { type: String, required: true },
+  prefix: { type: String, default: '' },
+  suffix: { type: String, default: '' },
+  // TextPositionSelector hint into the snapshot text the highlight was made on; breaks ties
+  // between repeated quotes
+  start: { type: Number, default: null },
+  end: { type: Number, default: null },
+}, { _id: false })
+
+// A highlight on a bookmarked article, optionally with a comment
+const AnnotationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  bookmarkId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bookmark', required: true },
+  selector: { type: SelectorSchema, required: true },
+  comment: { type: String, default: '' },
+  color: { type: String, enum: ANNOTATION_COLORS, default: 'yellow' },
+  tags: { type: [String], default: [] },
+}, { timestamps: true })
+
+AnnotationSchema.index({ userId: 1, bookmarkId: 1, _id: 1 })
+AnnotationSchema.index({ userId: 1, tags: 1 })
+AnnotationSchema.index(
+  { 'selector.exact': 'text', comment: 'text' },
+  { name: 'annotation_text', weights: { 'selector.exact': 2, comment: 1 }, language_override: 'textSearchLanguage' }
+)
+
+module.exports = mongoose.model('Annotation', AnnotationSchema)
+module.exports.ANNOTATION_COLORS = ANNOTATION_COLORS
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose')
+
+// A personal access token for scripts and extensions. Only the SHA-256 hash is stored;
+// prefix keeps the first characters so users can tell their tokens apart.
+const ApiTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  tokenHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+  scopes: { type: [String], default: [] },
+  lastUsedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+}, { timestamps: true })
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema)
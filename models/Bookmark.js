@@ -1,5 +1,24 @@
 const mongoose = require('mongoose')
 
+const READ_STATUSES = ['unread', 'in-progress', 'read', 'archived']
+
+// Offline copy of the article taken when the bookmark is saved
+const SnapshotSchema = new mongoose.Schema({
+  status: { type: String, enum: ['pending', 'ready', 'empty', 'failed'], default: 'pending' },
+  title: { type: String, default: '' },
+  byline: { type: String, default: '' },
+  siteName: { type: String, default: '' },
+  publishedAt: { type: Date },
+  leadImage: { type: String, default: '' },
+  text: { type: String, default: '' },
+  summary: { type: String, default: '' },
+  lang: { type: String, default: '' },
+  wordCount: { type: Number, default: 0 },
+  readingMinutes: { type: Number, default: 0 },
+  capturedAt: { type: Date },
+  error: { type: String, default: '' },
+}, { _id: false })
+
 const BookmarkSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   title: { type: String, required: true },
@@ -7,6 +26,27 @@ const BookmarkSchema = new mongoose.Schema({
   source: { type: String },
   savedAt: { type: Date, default: Date.now },
   notes: { type: String, default: '' },
+  tags: { type: [String], default: [] },
+  collectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Collection', default: null },
+  snapshot: { type: SnapshotSchema, default: null },
+  // read-later queue (lib/reading): progress is a percentage, the dates say when each state was entered
+  status: { type: String, enum: READ_STATUSES, default: 'unread' },
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  startedAt: { type: Date, default: null },
+  readAt: { type: Date, default: null },
+  archivedAt: { type: Date, default: null },
 }, { timestamps: true })
 
+// listing filters and cursor pagination
+BookmarkSchema.index({ userId: 1, createdAt: -1, _id: -1 })
+BookmarkSchema.index({ userId: 1, tags: 1 })
+BookmarkSchema.index({ userId: 1, collectionId: 1 })
+BookmarkSchema.index({ userId: 1, status: 1 })
+// full-text search; language_override points away from snapshot.lang, which holds codes Mongo may not support
+BookmarkSchema.index(
+  { title: 'text', notes: 'text', 'snapshot.text': 'text' },
+  { name: 'bookmark_text', weights: { title: 10, notes: 5, 'snapshot.text': 1 }, language_override: 'textSearchLanguage' }
+)
+
 module.exports = mongoose.model('Bookmark', BookmarkSchema)
+module.exports.READ_STATUSES = READ_STATUSES
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose')
+
+// A user-owned folder of bookmarks
+const CollectionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+}, { timestamps: true })
+
+CollectionSchema.index({ userId: 1, name: 1 }, { unique: true })
+
+module.exports = mongoose.model('Collection', CollectionSchema)
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose')
+
+// When and what to put in a user's email digest (lib/digest.js). hour and weekday are local to timezone.
+const DigestSettingsSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  enabled: { type: Boolean, default: false },
+  frequency: { type: String, enum: ['daily', 'weekly'], default: 'daily' },
+  hour: { type: Number, min: 0, max: 23, default: 7 },
+  // weekly digests only; 0 = Sunday
+  weekday: { type: Number, min: 0, max: 6, default: 1 },
+  timezone: { type: String, default: 'UTC' },
+  // headlines section: the news proxy's top stories for these filters
+  category: { type: String, default: '' },
+  country: { type: String, default: '' },
+  language: { type: String, default: 'en' },
+  headlines: { type: Number, min: 0, max: 20, default: 5 },
+  // tracked topics: the newest matches of the user's saved searches
+  includeSearches: { type: Boolean, default: true },
+  lastSentAt: { type: Date, default: null },
+  nextSendAt: { type: Date, default: null },
+  lastError: { type: String, default: '' },
+}, { timestamps: true })
+
+DigestSettingsSchema.index({ enabled: 1, nextSendAt: 1 })
+
+module.exports = mongoose.model('DigestSettings', DigestSettingsSchema)
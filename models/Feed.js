@@ -0,0 +1,13 @@
+const mongoose = require('mongoose')
+
+// An RSS/Atom feed a user subscribed to
+const FeedSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  url: { type: String, required: true },
+  title: { type: String, default: '' },
+  siteUrl: { type: String, default: '' },
+}, { timestamps: true })
+
+FeedSchema.index({ userId: 1, url: 1 }, { unique: true })
+
+module.exports = mongoose.model('Feed', FeedSchema)
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+const TRENDS_RETENTION_DAYS = Number(process.env.TRENDS_RETENTION_DAYS) || 14
+
+// A headline seen through /api/news, kept for trend analysis; terms are the lowercased keyphrases
+// and capitalized phrases extracted from the title
+const HeadlineSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  title: { type: String, required: true },
+  url: { type: String, default: '' },
+  source: { type: String, default: '' },
+  provider: { type: String, default: '' },
+  category: { type: String, default: '' },
+  country: { type: String, default: '' },
+  language: { type: String, default: '' },
+  terms: { type: [String], default: [] },
+  // publication time when the provider gave one, else when it was first seen
+  time: { type: Date, required: true },
+  seenAt: { type: Date, default: Date.now },
+})
+
+HeadlineSchema.index({ time: -1, category: 1, country: 1 })
+HeadlineSchema.index({ terms: 1, time: -1 })
+HeadlineSchema.index({ seenAt: 1 }, { expireAfterSeconds: TRENDS_RETENTION_DAYS * 24 * 3600 })
+
+module.exports = mongoose.model('Headline', HeadlineSchema)
+module.exports.TRENDS_RETENTION_DAYS = TRENDS_RETENTION_DAYS
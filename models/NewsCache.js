@@ -0,0 +1,11 @@
+const mongoose = require('mongoose')
+
+// Cached /api/news responses; the payload is stored as a JSON string so provider fields can't clash with Mongo key rules
+const NewsCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, index: true },
+  body: { type: String, required: true },
+  storedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+})
+
+module.exports = mongoose.model('NewsCache', NewsCacheSchema)
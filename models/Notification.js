@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+const NOTIFICATION_TTL_DAYS = Number(process.env.NOTIFICATION_TTL_DAYS) || 30
+
+// A new article matching one of a user's saved searches, found by the background poller
+const NotificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  searchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', required: true },
+  searchName: { type: String, default: '' },
+  article: {
+    title: { type: String, default: '' },
+    url: { type: String, default: '' },
+    source: { type: String, default: '' },
+    provider: { type: String, default: '' },
+    time: { type: String, default: '' },
+    description: { type: String, default: '' },
+    image: { type: String, default: '' },
+  },
+  read: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+}, { timestamps: true })
+
+NotificationSchema.index({ userId: 1, _id: -1 })
+NotificationSchema.index({ userId: 1, read: 1 })
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 3600 })
+
+module.exports = mongoose.model('Notification', NotificationSchema)
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose')
+
+// Single-use password reset token; only the SHA-256 hash is stored
+const PasswordResetSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true })
+
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('PasswordReset', PasswordResetSchema)
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose')
+
+// Fixed-window counters for rate limits and provider budgets, shared between instances
+const RateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+})
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema)
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose')
+
+// A server-side refresh token. Only the SHA-256 hash is stored; every refresh rotates the token
+// within its family, and reusing a rotated token revokes the whole family.
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+}, { timestamps: true })
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema)
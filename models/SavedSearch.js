@@ -0,0 +1,24 @@
+const mongoose = require('mongoose')
+
+// A news query a user wants to rerun: the /api/news parameters plus a preferred provider
+const SavedSearchSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  q: { type: String, default: '' },
+  category: { type: String, default: '' },
+  country: { type: String, default: '' },
+  language: { type: String, default: 'en' },
+  provider: { type: String, default: 'auto' },
+  // background polling (lib/scheduler.js): notify on new matches, canonical URLs already seen
+  notify: { type: Boolean, default: true },
+  seenUrls: { type: [String], default: [], select: false },
+  lastPolledAt: { type: Date, default: null },
+  nextPollAt: { type: Date, default: null },
+  pollFailures: { type: Number, default: 0 },
+  lastPollError: { type: String, default: '' },
+}, { timestamps: true })
+
+SavedSearchSchema.index({ userId: 1, name: 1 }, { unique: true })
+SavedSearchSchema.index({ notify: 1, nextPollAt: 1 })
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema)
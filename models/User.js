@@ -4,6 +4,9 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true, index: true },
   passwordHash: { type: String, required: true },
+  // sha256 of the secret in the user's private bookmark feed URLs; unset when feeds are off
+  feedTokenHash: { type: String, index: { unique: true, sparse: true } },
+  feedTokenCreatedAt: { type: Date },
 }, { timestamps: true })
 
 module.exports = mongoose.model('User', UserSchema)
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+const WEBHOOK_EVENTS = ['bookmark.created', 'bookmark.updated', 'bookmark.deleted']
+
+// An endpoint that receives a user's bookmark events (lib/webhooks.js). The secret signs every
+// payload, so unlike API tokens it is kept as-is; it is only returned when created or rotated.
+const WebhookSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  url: { type: String, required: true },
+  description: { type: String, default: '' },
+  events: { type: [{ type: String, enum: WEBHOOK_EVENTS }], default: WEBHOOK_EVENTS },
+  // json: our signed envelope; slack: a Slack incoming-webhook message
+  format: { type: String, enum: ['json', 'slack'], default: 'json' },
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  // failed attempts in a row; the webhook is disabled once this reaches the limit
+  consecutiveFailures: { type: Number, default: 0 },
+  disabledAt: { type: Date, default: null },
+  disabledReason: { type: String, default: '' },
+  lastDeliveryAt: { type: Date, default: null },
+  lastStatus: { type: String, default: '' },
+}, { timestamps: true })
+
+WebhookSchema.index({ userId: 1, active: 1 })
+
+module.exports = mongoose.model('Webhook', WebhookSchema)
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS
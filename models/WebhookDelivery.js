@@ -0,0 +1,26 @@
+const mongoose = require('mongoose')
+
+const DELIVERY_TTL_DAYS = Number(process.env.WEBHOOK_DELIVERY_TTL_DAYS) || 30
+
+// One event sent to a webhook, with the outcome of its latest attempt. Pending deliveries are
+// retried by lib/webhooks.js at nextAttemptAt.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  // the exact request body, so retries are byte-identical and signatures stay valid
+  body: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: null },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: '' },
+  durationMs: { type: Number, default: null },
+  test: { type: Boolean, default: false },
+}, { timestamps: true })
+
+WebhookDeliverySchema.index({ webhookId: 1, _id: -1 })
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_TTL_DAYS * 24 * 3600 })
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema)
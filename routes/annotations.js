@@ -0,0 +1,287 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const Annotation = require('../models/Annotation')
+const Bookmark = require('../models/Bookmark')
+const { ANNOTATION_COLORS } = require('../models/Annotation')
+const { quoteSelector, anchorQuote, toW3C, toW3CCollection, renderMarkdown } = require('../lib/annotations')
+const { requireAuth } = require('../lib/auth')
+const { storage } = require('../lib/storage')
+
+const MAX_QUOTE_LENGTH = 5000
+const MAX_CONTEXT_LENGTH = 200
+const MAX_COMMENT_LENGTH = 10000
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 40
+const MAX_PER_BOOKMARK = 500
+const MAX_EXPORT = 5000
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 100
+const EXPORT_FORMATS = ['markdown', 'w3c']
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+// Same rules as bookmark tags: trimmed, lowercased and unique
+function normalizeTags(input) {
+  if (input === undefined || input === null) return []
+  const list = Array.isArray(input) ? input : String(input).split(',')
+  const tags = []
+  for (const t of list) {
+    const tag = String(t).trim().toLowerCase().slice(0, MAX_TAG_LENGTH)
+    if (tag && !tags.includes(tag)) tags.push(tag)
+  }
+  return tags.slice(0, MAX_TAGS)
+}
+
+function publicBookmark(b) {
+  return b ? { id: b._id, title: b.title, url: b.url, source: b.source || '' } : null
+}
+
+// anchor is where the quote sits in the bookmark's current snapshot text, when that was checked
+function publicAnnotation(a, bookmark, anchor) {
+  const out = {
+    id: a._id,
+    bookmarkId: a.bookmarkId,
+    selector: { exact: a.selector.exact, prefix: a.selector.prefix, suffix: a.selector.suffix, start: a.selector.start, end: a.selector.end },
+    comment: a.comment,
+    color: a.color,
+    tags: a.tags,
+    createdAt: a.createdAt,
+    updatedAt: a.updatedAt,
+  }
+  if (bookmark !== undefined) out.bookmark = publicBookmark(bookmark)
+  if (anchor !== undefined) out.anchor = anchor
+  return out
+}
+
+/**
+ * The annotations whose bookmark still exists, with those bookmarks by id. A bookmark deleted
+ * while the database was unreachable leaves its annotations behind; they are dropped here and
+ * removed in the background.
+ */
+async function withBookmarks(userId, annotations) {
+  const ids = [...new Set(annotations.map((a) => String(a.bookmarkId)))]
+  const list = await Bookmark.find({ _id: { $in: ids }, userId }).select('title url source savedAt').lean()
+  const bookmarks = new Map(list.map((b) => [String(b._id), b]))
+  const orphaned = ids.filter((id) => !bookmarks.has(id))
+  if (orphaned.length) {
+    Annotation.deleteMany({ userId, bookmarkId: { $in: orphaned } }).catch((err) => console.error('Annotations: cleanup failed', err))
+  }
+  return { annotations: annotations.filter((a) => bookmarks.has(String(a.bookmarkId))), bookmarks }
+}
+
+function snapshotText(bookmark) {
+  return (bookmark && bookmark.snapshot && bookmark.snapshot.text) || ''
+}
+
+// Filter from ?bookmark=&tag=&color=; returns { filter } or { error }
+function listFilter(userId, query) {
+  const filter = { userId }
+  if (query.bookmark) {
+    if (!isValidId(query.bookmark)) return { error: 'Invalid bookmark' }
+    filter.bookmarkId = new mongoose.Types.ObjectId(String(query.bookmark))
+  }
+  const tags = normalizeTags(query.tag)
+  if (tags.length) filter.tags = { $all: tags }
+  if (query.color) {
+    if (!ANNOTATION_COLORS.includes(query.color)) return { error: `color must be one of ${ANNOTATION_COLORS.join(', ')}` }
+    filter.color = query.color
+  }
+  return { filter }
+}
+
+/**
+ * Build the selector for a new highlight from { exact, prefix?, suffix?, start?, end? } (or the
+ * same under `selector`). A quote is anchored against the snapshot text when there is one, filling
+ * in context and offsets; start/end alone pick the passage out of the snapshot text.
+ * Returns { selector } or { error }.
+ */
+function parseSelector(body, text) {
+  const input = body.selector && typeof body.selector === 'object' ? body.selector : body
+  const start = input.start === undefined || input.start === null ? null : Number(input.start)
+  const end = input.end === undefined || input.end === null ? null : Number(input.end)
+  if ((start !== null && !Number.isInteger(start)) || (end !== null && !Number.isInteger(end))) return { error: 'start and end must be integers' }
+
+  if (input.exact === undefined || input.exact === null || input.exact === '') {
+    if (start === null || end === null) return { error: 'Missing exact (or start and end)' }
+    if (!text) return { error: 'The bookmark has no snapshot text to take start and end from' }
+    if (start < 0 || end <= start || end > text.length) return { error: `start and end must satisfy 0 <= start < end <= ${text.length}` }
+    if (end - start > MAX_QUOTE_LENGTH) return { error: `Highlight too long (max ${MAX_QUOTE_LENGTH} characters)` }
+    return { selector: quoteSelector(text, start, end) }
+  }
+
+  const exact = String(input.exact)
+  if (!exact.trim()) return { error: 'Missing exact (or start and end)' }
+  if (exact.length > MAX_QUOTE_LENGTH) return { error: `Highlight too long (max ${MAX_QUOTE_LENGTH} characters)` }
+  const selector = {
+    exact,
+    prefix: String(input.prefix || '').slice(-MAX_CONTEXT_LENGTH),
+    suffix: String(input.suffix || '').slice(0, MAX_CONTEXT_LENGTH),
+    start,
+    end,
+  }
+  const anchor = anchorQuote(text, selector)
+  if (!anchor) return { selector }
+  // keep what the client sent, complete it from where the quote was found
+  const found = quoteSelector(text, anchor.start, anchor.end)
+  return { selector: { ...selector, prefix: selector.prefix || found.prefix, suffix: selector.suffix || found.suffix, start: anchor.start, end: anchor.end } }
+}
+
+// Validate { comment, color, tags } from a create (defaults) or update (only given fields)
+function parseFields(body) {
+  const fields = {}
+  if (body.comment !== undefined && body.comment !== null) {
+    fields.comment = String(body.comment).trim()
+    if (fields.comment.length > MAX_COMMENT_LENGTH) return { error: `Comment too long (max ${MAX_COMMENT_LENGTH} characters)` }
+  }
+  if (body.color !== undefined) {
+    if (!ANNOTATION_COLORS.includes(body.color)) return { error: `color must be one of ${ANNOTATION_COLORS.join(', ')}` }
+    fields.color = body.color
+  }
+  if (body.tags !== undefined) fields.tags = normalizeTags(body.tags)
+  return { fields }
+}
+
+// GET /api/annotations?q=&bookmark=&tag=&color=&limit=&before= - the user's highlights across
+// bookmarks, newest first (best matches first with q, which searches quotes and comments).
+// With bookmark=, each one also says where it anchors in the bookmark's current snapshot text.
+router.get('/', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    const { filter, error } = listFilter(req.user.id, req.query)
+    if (error) return res.status(400).json({ error })
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE))
+    const q = String(req.query.q || '').trim()
+
+    let found
+    if (q) {
+      found = await Annotation.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean()
+    } else {
+      if (req.query.before) {
+        if (!isValidId(req.query.before)) return res.status(400).json({ error: 'Invalid before cursor' })
+        filter._id = { $lt: new mongoose.Types.ObjectId(String(req.query.before)) }
+      }
+      found = await Annotation.find(filter).sort({ _id: -1 }).limit(limit).lean()
+    }
+
+    const { annotations, bookmarks } = await withBookmarks(req.user.id, found)
+    const text = filter.bookmarkId ? snapshotText(await storage.findBookmark(req.user.id, filter.bookmarkId)) : null
+    res.json({
+      annotations: annotations.map((a) => publicAnnotation(a, bookmarks.get(String(a.bookmarkId)), text === null ? undefined : anchorQuote(text, a.selector))),
+      // the cursor follows what was read, so pages stay contiguous when orphans were dropped
+      nextCursor: !q && found.length === limit ? String(found[found.length - 1]._id) : null,
+    })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /api/annotations/export?format=markdown|w3c&bookmark=&tag=&color= - grouped by bookmark,
+// newest bookmark first, highlights in reading order
+router.get('/export', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'markdown').toLowerCase()
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` })
+    const { filter, error } = listFilter(req.user.id, req.query)
+    if (error) return res.status(400).json({ error })
+    const found = await Annotation.find(filter).sort({ bookmarkId: 1, 'selector.start': 1, _id: 1 }).limit(MAX_EXPORT).lean()
+    const { annotations, bookmarks } = await withBookmarks(req.user.id, found)
+
+    if (format === 'w3c') {
+      const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`
+      const items = annotations.map((a) => toW3C(a, bookmarks.get(String(a.bookmarkId)), `${base}/${a._id}`))
+      res.set('Content-Type', 'application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"; charset=utf-8')
+      res.set('Content-Disposition', 'attachment; filename="annotations.jsonld"')
+      return res.send(JSON.stringify(toW3CCollection(items, 'Highlights'), null, 2))
+    }
+
+    const groups = new Map()
+    for (const a of annotations) {
+      const key = String(a.bookmarkId)
+      if (!groups.has(key)) groups.set(key, { bookmark: bookmarks.get(key), annotations: [] })
+      groups.get(key).annotations.push(a)
+    }
+    const savedAt = (g) => new Date(g.bookmark.savedAt).getTime()
+    const ordered = [...groups.values()].sort((a, b) => savedAt(b) - savedAt(a))
+    res.set('Content-Type', 'text/markdown; charset=utf-8')
+    res.set('Content-Disposition', 'attachment; filename="annotations.md"')
+    res.send(renderMarkdown(ordered))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/annotations { bookmark, exact, prefix?, suffix? | start, end, comment?, color?, tags? }
+router.post('/', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    const body = req.body || {}
+    if (!body.bookmark || !isValidId(body.bookmark)) return res.status(400).json({ error: 'Invalid bookmark' })
+    const bookmark = await storage.findBookmark(req.user.id, body.bookmark)
+    if (!bookmark) return res.status(400).json({ error: 'Invalid bookmark' })
+    const { selector, error } = parseSelector(body, snapshotText(bookmark))
+    if (error) return res.status(400).json({ error })
+    const parsed = parseFields(body)
+    if (parsed.error) return res.status(400).json({ error: parsed.error })
+    const count = await Annotation.countDocuments({ userId: req.user.id, bookmarkId: bookmark._id })
+    if (count >= MAX_PER_BOOKMARK) return res.status(400).json({ error: `Annotation limit reached for this bookmark (${MAX_PER_BOOKMARK})` })
+
+    const annotation = await Annotation.create({ ...parsed.fields, userId: req.user.id, bookmarkId: bookmark._id, selector })
+    res.status(201).json({ annotation: publicAnnotation(annotation, bookmark) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /api/annotations/:id - with its bookmark and where it anchors in the snapshot text
+router.get('/:id', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const annotation = await Annotation.findOne({ _id: req.params.id, userId: req.user.id }).lean()
+    if (!annotation) return res.status(404).json({ error: 'Not found' })
+    const bookmark = await storage.findBookmark(req.user.id, annotation.bookmarkId)
+    if (!bookmark) return res.status(404).json({ error: 'Not found' })
+    res.json({ annotation: publicAnnotation(annotation, bookmark, anchorQuote(snapshotText(bookmark), annotation.selector)) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// PUT /api/annotations/:id { comment?, color?, tags? } - the highlighted passage itself can't change
+router.put('/:id', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const { fields, error } = parseFields(req.body || {})
+    if (error) return res.status(400).json({ error })
+    const current = await Annotation.findOne({ _id: req.params.id, userId: req.user.id }).select('bookmarkId').lean()
+    if (!current || !(await Bookmark.exists({ _id: current.bookmarkId, userId: req.user.id }))) return res.status(404).json({ error: 'Not found' })
+    const annotation = await Annotation.findOneAndUpdate({ _id: req.params.id, userId: req.user.id }, { $set: fields }, { new: true, runValidators: true }).lean()
+    if (!annotation) return res.status(404).json({ error: 'Not found' })
+    res.json({ annotation: publicAnnotation(annotation) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// DELETE /api/annotations/:id
+router.delete('/:id', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const annotation = await Annotation.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+    if (!annotation) return res.status(404).json({ error: 'Not found' })
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
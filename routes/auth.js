@@ -1,24 +1,47 @@
 const express = require('express')
 const router = express.Router()
 const bcrypt = require('bcryptjs')
-const jwt = require('jsonwebtoken')
-const User = require('../models/User')
+const PasswordReset = require('../models/PasswordReset')
+const { AuthError, hashToken, randomToken, issueSession, consumeRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../lib/tokens')
+const { sendMail } = require('../lib/mailer')
+const { requireAuth, requireSession } = require('../lib/auth')
+const { rateLimit } = require('../lib/rateLimit')
+const { storage, requireDatabase } = require('../lib/storage')
 
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret'
+const MIN_PASSWORD_LENGTH = 8
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000
+// credential checks and reset mails are limited separately to slow down guessing and mail floods
+const limitCredentials = rateLimit('auth')
+const APP_URL = process.env.APP_URL || process.env.CLIENT_ORIGIN || 'http://localhost:5174'
+
+function publicUser(user) {
+  return { id: user._id, name: user.name, email: user.email }
+}
+
+function sessionBody(session, user) {
+  return { token: session.token, refreshToken: session.refreshToken, expiresIn: session.expiresIn, user: publicUser(user) }
+}
+
+function passwordError(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  return null
+}
 
 // Signup
-router.post('/signup', async (req, res) => {
+router.post('/signup', limitCredentials, async (req, res) => {
   try {
     const { name, email, password } = req.body
     if (!name || !email || !password) return res.status(400).json({ error: 'Missing fields' })
+    const invalid = passwordError(password)
+    if (invalid) return res.status(400).json({ error: invalid })
 
-    const existing = await User.findOne({ email })
+    const existing = await storage.findUserByEmail(email)
     if (existing) return res.status(409).json({ error: 'User already exists' })
 
     const passwordHash = await bcrypt.hash(password, 10)
-    const user = await User.create({ name, email, passwordHash })
-    const token = jwt.sign({ userId: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' })
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email } })
+    const user = await storage.createUser({ name, email, passwordHash })
+    const session = await issueSession(user, req)
+    res.json(sessionBody(session, user))
   } catch (err) {
     console.error(err)
     res.status(500).json({ error: 'Server error' })
@@ -26,39 +49,147 @@ router.post('/signup', async (req, res) => {
 })
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', limitCredentials, async (req, res) => {
   try {
     const { email, password } = req.body
     if (!email || !password) return res.status(400).json({ error: 'Missing fields' })
 
-    const user = await User.findOne({ email })
+    const user = await storage.findUserByEmail(email)
     if (!user) return res.status(401).json({ error: 'Invalid credentials' })
 
     const ok = await bcrypt.compare(password, user.passwordHash)
     if (!ok) return res.status(401).json({ error: 'Invalid credentials' })
 
-    const token = jwt.sign({ userId: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' })
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email } })
+    const session = await issueSession(user, req)
+    res.json(sessionBody(session, user))
   } catch (err) {
     console.error(err)
     res.status(500).json({ error: 'Server error' })
   }
 })
 
-// Get current user
-router.get('/me', async (req, res) => {
-  const auth = req.headers.authorization
-  if (!auth) return res.status(401).json({ error: 'Unauthorized' })
-  const parts = auth.split(' ')
-  if (parts.length !== 2) return res.status(401).json({ error: 'Unauthorized' })
-  const token = parts[1]
+// Exchange a refresh token for a new access token and a rotated refresh token
+router.post('/refresh', async (req, res) => {
   try {
-    const payload = jwt.verify(token, JWT_SECRET)
-    const user = await User.findById(payload.userId).select('-passwordHash')
+    const record = await consumeRefreshToken(req.body && req.body.refreshToken)
+    const user = await storage.findUserById(record.userId)
+    if (!user) return res.status(401).json({ error: 'Invalid refresh token' })
+    const session = await issueSession(user, req, record.family)
+    res.json(sessionBody(session, user))
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(err.status).json({ error: err.message })
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Log out this session: revokes the refresh token and everything rotated from it
+router.post('/logout', async (req, res) => {
+  try {
+    const raw = req.body && req.body.refreshToken
+    if (!raw) return res.status(400).json({ error: 'Missing refresh token' })
+    await revokeRefreshToken(raw)
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Log out everywhere: revokes every refresh token of the user
+router.post('/logout-all', requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id)
+    res.json({ ok: true, revoked })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Change password; other sessions are logged out and this one gets a fresh token pair
+router.post('/password', requireSession, limitCredentials, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {}
+    if (!currentPassword || !newPassword) return res.status(400).json({ error: 'Missing fields' })
+    const invalid = passwordError(newPassword)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    const user = await storage.findUserById(req.user.id)
     if (!user) return res.status(404).json({ error: 'Not found' })
-    res.json({ user })
+    const ok = await bcrypt.compare(currentPassword, user.passwordHash)
+    if (!ok) return res.status(401).json({ error: 'Invalid credentials' })
+
+    await storage.updateUserPassword(user._id, await bcrypt.hash(newPassword, 10))
+    await revokeAllSessions(user._id)
+    const session = await issueSession(user, req)
+    res.json(sessionBody(session, user))
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' })
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Request a reset link. Always answers the same way so it can't be used to probe for accounts.
+router.post('/password/forgot', requireDatabase, limitCredentials, async (req, res) => {
+  const email = String((req.body && req.body.email) || '').trim()
+  if (!email) return res.status(400).json({ error: 'Missing email' })
+  // answer before the lookup and the mail, so neither their timing nor their failures tell anything
+  res.json({ ok: true })
+  try {
+    const user = await storage.findUserByEmail(email)
+    if (!user) return
+    const token = randomToken()
+    await PasswordReset.create({ userId: user._id, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS) })
+    const link = `${APP_URL.replace(/\/+$/, '')}/reset-password?token=${encodeURIComponent(token)}`
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your News Dashboard password',
+      text: `Hi ${user.name},\n\nUse this link within the next hour to choose a new password:\n${link}\n\nIf you didn't ask for this, ignore this email.`,
+    })
+  } catch (err) {
+    console.error('Password reset: could not send the reset mail', err)
+  }
+})
+
+// Set a new password with a reset token; the token is single-use and every session is revoked
+router.post('/password/reset', requireDatabase, limitCredentials, async (req, res) => {
+  try {
+    const { token, password } = req.body || {}
+    if (!token || !password) return res.status(400).json({ error: 'Missing fields' })
+    const invalid = passwordError(password)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    const reset = await PasswordReset.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    )
+    if (!reset) return res.status(400).json({ error: 'Invalid or expired reset token' })
+    const user = await storage.findUserById(reset.userId)
+    if (!user) return res.status(400).json({ error: 'Invalid or expired reset token' })
+
+    await storage.updateUserPassword(user._id, await bcrypt.hash(password, 10))
+    // any other outstanding links die with this one
+    await PasswordReset.updateMany({ userId: user._id, usedAt: null }, { $set: { usedAt: new Date() } })
+    await revokeAllSessions(user._id)
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Get current user; personal tokens can call this too and also see their own scopes
+router.get('/me', requireAuth(), async (req, res) => {
+  try {
+    const found = await storage.findUserById(req.user.id)
+    if (!found) return res.status(404).json({ error: 'Not found' })
+    const { passwordHash, feedTokenHash, ...user } = found
+    res.json({ user, auth: { type: req.user.type, scopes: req.user.scopes } })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
   }
 })
 
@@ -1,31 +1,203 @@
 const express = require('express')
 const router = express.Router()
-const jwt = require('jsonwebtoken')
 const mongoose = require('mongoose')
-const Bookmark = require('../models/Bookmark')
+const { captureSnapshot } = require('../lib/snapshot')
+const { parseImport, renderExport, EXPORT_FORMATS } = require('../lib/bookmarkFormats')
+const { renderFeed } = require('../lib/bookmarkFeeds')
+const { requireAuth, requireSession } = require('../lib/auth')
+const { hashToken, randomToken } = require('../lib/tokens')
+const { storage, databaseConnected } = require('../lib/storage')
+const webhooks = require('../lib/webhooks')
+const Annotation = require('../models/Annotation')
+const { READ_STATUSES } = require('../models/Bookmark')
+const { readStateFields } = require('../lib/reading')
 
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret'
+const APP_URL = process.env.APP_URL || process.env.CLIENT_ORIGIN || 'http://localhost:5174'
 
-function authMiddleware(req, res, next) {
-  const auth = req.headers.authorization
-  if (!auth) return res.status(401).json({ error: 'Unauthorized' })
-  const parts = auth.split(' ')
-  if (parts.length !== 2) return res.status(401).json({ error: 'Unauthorized' })
-  const token = parts[1]
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 40
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 100
+const SORTS = {
+  newest: { field: 'createdAt', dir: -1 },
+  oldest: { field: 'createdAt', dir: 1 },
+  title: { field: 'title', dir: 1 },
+}
+
+function collapseTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').trim()
+}
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+// Tags arrive as an array or a comma-separated string; stored trimmed, lowercased and unique
+function normalizeTags(input) {
+  if (input === undefined || input === null) return []
+  const list = Array.isArray(input) ? input : String(input).split(',')
+  const tags = []
+  for (const t of list) {
+    const tag = String(t).trim().toLowerCase().slice(0, MAX_TAG_LENGTH)
+    if (tag && !tags.includes(tag)) tags.push(tag)
+  }
+  return tags.slice(0, MAX_TAGS)
+}
+
+// Resolve a collection id from a request to one the user owns; null/'' means "no collection".
+// Returns undefined when the id is invalid or belongs to someone else.
+async function resolveCollectionId(userId, collection) {
+  if (collection === null || collection === '' || collection === 'none') return null
+  if (!isValidId(collection)) return undefined
+  const found = await storage.findCollection(userId, collection)
+  return found ? found._id : undefined
+}
+
+// per-user URL dedupe: the same article can only be saved once
+function findDuplicate(userId, url) {
+  return storage.findBookmarkByUrl(userId, url)
+}
+
+function encodeCursor(doc, sort) {
+  const value = sort.field === 'title' ? doc.title : new Date(doc[sort.field]).getTime()
+  return Buffer.from(JSON.stringify([value, String(doc._id)])).toString('base64url')
+}
+
+function decodeCursor(cursor, sort) {
   try {
-    const payload = jwt.verify(token, JWT_SECRET)
-    req.user = { id: payload.userId, email: payload.email }
-    next()
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (!isValidId(id)) return null
+    return { value: sort.field === 'title' ? String(value) : new Date(value), id }
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' })
+    return null
   }
 }
 
+// ?status=unread,in-progress -> ['unread', 'in-progress']; null when a value isn't a status
+function parseStatuses(input) {
+  if (input === undefined || input === '') return []
+  const list = [...new Set(String(input).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean))]
+  return list.every((s) => READ_STATUSES.includes(s)) ? list : null
+}
+
+function parseDate(value) {
+  if (!value) return null
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? undefined : d
+}
+
+// Capture the article snapshot in the background so saving a bookmark stays fast
+function queueSnapshot(bookmarkId, url) {
+  captureSnapshot(url)
+    .then((snapshot) => storage.setSnapshot(bookmarkId, snapshot))
+    .catch((err) => {
+      console.warn('Bookmark snapshot failed for', url, err.message || err)
+      return storage.setSnapshot(bookmarkId, { status: 'failed', error: err.message || 'Snapshot failed', capturedAt: new Date() })
+    })
+    .catch((err) => console.error('Bookmark snapshot update failed', err))
+}
+
+const SNIPPET_BEFORE = 60
+const SNIPPET_AFTER = 140
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Words and "quoted phrases" of a $text query, without negated terms; word matches allow a suffix
+// since Mongo stems ("elections" matches "election")
+function highlightPattern(q) {
+  const parts = []
+  const phraseRe = /"([^"]+)"/g
+  let m
+  while ((m = phraseRe.exec(q))) parts.push(escapeRegExp(m[1].trim()))
+  for (const word of q.replace(phraseRe, ' ').split(/\s+/)) {
+    if (!word || word.startsWith('-')) continue
+    const stem = word.replace(/[^\p{L}\p{N}]/gu, '')
+    if (stem.length >= 2) parts.push(`${escapeRegExp(stem.length > 4 ? stem.replace(/(es|s|ed|ing)$/i, '') : stem)}[\\p{L}\\p{N}]*`)
+  }
+  return parts.length ? new RegExp(`(${parts.join('|')})`, 'giu') : null
+}
+
+// HTML-escaped excerpt around the first match, with matches wrapped in <mark>
+function snippet(text, pattern) {
+  if (!text || !pattern) return null
+  pattern.lastIndex = 0
+  const first = pattern.exec(text)
+  if (!first) return null
+  let start = Math.max(0, first.index - SNIPPET_BEFORE)
+  let end = Math.min(text.length, first.index + SNIPPET_AFTER)
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start
+  if (end < text.length) end = text.lastIndexOf(' ', end) > first.index ? text.lastIndexOf(' ', end) : end
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ')
+  const marked = excerpt
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('')
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`
+}
+
+// Full-text search over title, notes and snapshot text, best matches first
+// GET /api/bookmarks/search?q=&limit=
+router.get('/search', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim()
+    if (!q) return res.status(400).json({ error: 'Missing q' })
+    const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 20))
+    const found = await storage.searchBookmarks(req.user.id, q, limit)
+
+    const pattern = highlightPattern(q)
+    const results = found.map(({ score, ...bookmark }) => {
+      const highlights = []
+      for (const [field, text] of [['title', bookmark.title], ['notes', bookmark.notes], ['snapshot', bookmark.snapshot && bookmark.snapshot.text]]) {
+        const s = snippet(text, pattern)
+        if (s) highlights.push({ field, snippet: s })
+      }
+      if (bookmark.snapshot) delete bookmark.snapshot.text
+      return { bookmark, score, highlights }
+    })
+    res.json({ q, results })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
 // Get bookmarks for current user
-router.get('/', authMiddleware, async (req, res) => {
+// GET /api/bookmarks?collection=&tag=&source=&status=&from=&to=&sort=newest|oldest|title&limit=&cursor=
+// status takes one or more comma-separated read states, e.g. status=unread,in-progress
+router.get('/', requireAuth('bookmarks:read'), async (req, res) => {
   try {
-    const list = await Bookmark.find({ userId: req.user.id }).sort({ createdAt: -1 })
-    res.json({ bookmarks: list })
+    const { collection, tag, source, from, to, cursor } = req.query
+    const sort = SORTS[req.query.sort || 'newest']
+    if (!sort) return res.status(400).json({ error: `sort must be one of ${Object.keys(SORTS).join(', ')}` })
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(req.query.limit) || DEFAULT_PAGE_SIZE))
+    const statuses = parseStatuses(req.query.status)
+    if (!statuses) return res.status(400).json({ error: `status must be one or more of ${READ_STATUSES.join(', ')}` })
+
+    const query = { sort, limit: limit + 1, tags: normalizeTags(tag), source: source ? String(source) : undefined, statuses }
+    if (collection !== undefined) {
+      if (collection === 'none') query.collectionId = null
+      else if (!isValidId(collection)) return res.status(400).json({ error: 'Invalid collection' })
+      else query.collectionId = collection
+    }
+    query.from = parseDate(from)
+    query.to = parseDate(to)
+    if (query.from === undefined || query.to === undefined) return res.status(400).json({ error: 'Invalid date range' })
+    if (cursor) {
+      query.after = decodeCursor(cursor, sort)
+      if (!query.after) return res.status(400).json({ error: 'Invalid cursor' })
+    }
+
+    const list = await storage.listBookmarks(req.user.id, query)
+    const hasMore = list.length > limit
+    const page = hasMore ? list.slice(0, limit) : list
+    const nextCursor = hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    res.json({ bookmarks: page, nextCursor })
   } catch (err) {
     console.error(err)
     res.status(500).json({ error: 'Server error' })
@@ -33,15 +205,29 @@ router.get('/', authMiddleware, async (req, res) => {
 })
 
 // Create bookmark
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', requireAuth('bookmarks:write'), async (req, res) => {
   try {
-    const { title, url, source, savedAt, notes } = req.body
+    const { title, url, source, savedAt, notes, tags, collection, snapshot = true } = req.body
     if (!title || !url) return res.status(400).json({ error: 'Missing title or url' })
+    const collectionId = await resolveCollectionId(req.user.id, collection === undefined ? null : collection)
+    if (collectionId === undefined) return res.status(400).json({ error: 'Invalid collection' })
     // avoid duplicates for same user+url
-    const exists = await Bookmark.findOne({ userId: req.user.id, url })
+    const exists = await findDuplicate(req.user.id, url)
     if (exists) return res.status(409).json({ error: 'Already saved', bookmark: exists })
 
-    const bm = await Bookmark.create({ userId: req.user.id, title, url, source, savedAt: savedAt || Date.now(), notes: notes || '' })
+    const bm = await storage.createBookmark({
+      userId: req.user.id,
+      title,
+      url,
+      source,
+      savedAt: savedAt || Date.now(),
+      notes: notes || '',
+      tags: normalizeTags(tags),
+      collectionId,
+      snapshot: snapshot ? { status: 'pending' } : null,
+    })
+    if (snapshot) queueSnapshot(bm._id, url)
+    webhooks.emit(req.user.id, 'bookmark.created', bm)
     res.status(201).json({ bookmark: bm })
   } catch (err) {
     console.error(err)
@@ -49,16 +235,396 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 })
 
-// Update notes or title
-router.put('/:id', authMiddleware, async (req, res) => {
+const MAX_IMPORT_ITEMS = 5000
+// index.js leaves this route out of its 1mb JSON parser so a large JSON export can be posted back
+const IMPORT_BODY_LIMIT = '5mb'
+const IMPORT_FORMATS = ['auto', 'netscape', 'html', 'pocket', 'instapaper', 'csv', 'json']
+
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol)
+  } catch (err) {
+    return false
+  }
+}
+
+function hostSource(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch (err) {
+    return ''
+  }
+}
+
+// Import bookmarks from Netscape HTML, Pocket HTML, Instapaper CSV or our own JSON/CSV export.
+// POST /api/bookmarks/import?format=auto with the file as a text body, or JSON { format, data }
+// (or our JSON export posted as-is). Responds with a per-item report. Imported bookmarks don't
+// trigger webhooks, one import could otherwise post thousands of events.
+const importBody = [express.json({ limit: IMPORT_BODY_LIMIT }), express.text({ type: ['text/*', 'application/octet-stream'], limit: IMPORT_BODY_LIMIT })]
+
+router.post('/import', requireAuth('bookmarks:write'), importBody, async (req, res) => {
+  try {
+    let input = req.body
+    let format = req.query.format || 'auto'
+    if (input && typeof input === 'object' && !Array.isArray(input) && typeof input.data === 'string') {
+      format = input.format || format
+      input = input.data
+    }
+    if (!input || (typeof input === 'string' && !input.trim())) return res.status(400).json({ error: 'Missing import data' })
+    if (!IMPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${IMPORT_FORMATS.join(', ')}` })
+
+    let parsed
+    try {
+      parsed = parseImport(input, format)
+    } catch (err) {
+      return res.status(400).json({ error: err.message })
+    }
+    if (parsed.items.length > MAX_IMPORT_ITEMS) return res.status(413).json({ error: `Too many items (max ${MAX_IMPORT_ITEMS})` })
+
+    const collectionIds = new Map()
+    const collectionFor = async (name) => {
+      const key = String(name).trim()
+      if (!key) return null
+      if (!collectionIds.has(key)) {
+        const existing = await storage.findCollectionByName(req.user.id, key)
+        collectionIds.set(key, existing ? existing._id : (await storage.createCollection({ userId: req.user.id, name: key }))._id)
+      }
+      return collectionIds.get(key)
+    }
+
+    // one lookup for duplicates and one batch insert; a bookmark that fails to save is reported
+    // as invalid without stopping the rest
+    const urls = parsed.items.map((item) => String(item.url || '').trim())
+    const existing = new Set(await storage.findBookmarkUrls(req.user.id, urls.filter(isHttpUrl)))
+    const items = []
+    const pending = []
+    const seen = new Set()
+    for (let i = 0; i < parsed.items.length; i++) {
+      const item = parsed.items[i]
+      const url = urls[i]
+      const title = collapseTitle(item.title) || url
+      if (!isHttpUrl(url)) {
+        items.push({ index: i, url, title, status: 'invalid', error: 'Missing or invalid url' })
+        continue
+      }
+      if (seen.has(url) || existing.has(url)) {
+        items.push({ index: i, url, title, status: 'skipped-duplicate' })
+        continue
+      }
+      seen.add(url)
+      const entry = { index: i, url, title, status: 'created' }
+      items.push(entry)
+      pending.push({
+        entry,
+        fields: {
+          userId: req.user.id,
+          title,
+          url,
+          source: item.source || hostSource(url),
+          savedAt: item.savedAt || Date.now(),
+          notes: item.notes || '',
+          tags: normalizeTags(item.tags),
+          collectionId: item.collection ? await collectionFor(item.collection) : null,
+        },
+      })
+    }
+    const results = await storage.createBookmarks(pending.map((p) => p.fields))
+    results.forEach((result, n) => {
+      const { entry } = pending[n]
+      if (result.error) Object.assign(entry, { status: 'invalid', error: result.error })
+      else entry.id = result.bookmark._id
+    })
+
+    const count = (status) => items.filter((it) => it.status === status).length
+    res.json({
+      format: parsed.format,
+      created: count('created'),
+      skippedDuplicate: count('skipped-duplicate'),
+      invalid: count('invalid'),
+      items,
+    })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Export all bookmarks: GET /api/bookmarks/export?format=html|json|csv
+router.get('/export', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json'
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` })
+    const bookmarks = await storage.allBookmarks(req.user.id)
+    const collections = await storage.listCollections(req.user.id)
+    const names = new Map(collections.map((c) => [String(c._id), c.name]))
+    const out = renderExport(bookmarks, names, format)
+    res.set('Content-Type', out.contentType)
+    res.set('Content-Disposition', `attachment; filename="bookmarks.${out.extension}"`)
+    res.send(out.body)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Private feeds: the user's bookmarks as RSS / Atom / JSON Feed at a URL holding a secret token,
+// for feed readers that can't send credentials. Rotating or deleting the token revokes old URLs.
+const FEED_EXTENSIONS = { xml: 'rss', rss: 'rss', atom: 'atom', json: 'json' }
+const DEFAULT_FEED_ITEMS = 50
+const MAX_FEED_ITEMS = 100
+
+function feedUrls(req, token) {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}`
+  return { rss: `${base}.xml`, atom: `${base}.atom`, json: `${base}.json` }
+}
+
+// GET /api/bookmarks/feed-token - whether private feeds are on; the token itself is never shown again
+router.get('/feed-token', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    const user = await storage.findUserById(req.user.id)
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    res.json({ enabled: Boolean(user.feedTokenHash), createdAt: user.feedTokenCreatedAt || null })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/bookmarks/feed-token - create or rotate the feed token; the URLs are only returned here.
+// Session only, like API tokens: the URL grants read access to every bookmark.
+router.post('/feed-token', requireSession, async (req, res) => {
+  try {
+    const token = randomToken(24)
+    await storage.setFeedToken(req.user.id, hashToken(token))
+    res.status(201).json({ token, urls: feedUrls(req, token) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// DELETE /api/bookmarks/feed-token - turn private feeds off; existing URLs stop working
+router.delete('/feed-token', requireSession, async (req, res) => {
+  try {
+    await storage.setFeedToken(req.user.id, null)
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /api/bookmarks/feed/:token.xml|.atom|.json?source=&tag=&status=&limit= - no auth header, the token is
+// the credential. Newest bookmarks first; answers 304 to If-None-Match / If-Modified-Since when
+// nothing changed.
+router.get('/feed/:file', async (req, res) => {
+  try {
+    const match = /^([\w-]+)\.(\w+)$/.exec(req.params.file)
+    const format = match && FEED_EXTENSIONS[match[2].toLowerCase()]
+    if (!format) return res.status(404).json({ error: 'Not found' })
+    const user = await storage.findUserByFeedToken(hashToken(match[1]))
+    if (!user) return res.status(404).json({ error: 'Not found' })
+
+    const tags = normalizeTags(req.query.tag)
+    const source = req.query.source ? String(req.query.source) : undefined
+    const statuses = parseStatuses(req.query.status)
+    if (!statuses) return res.status(400).json({ error: `status must be one or more of ${READ_STATUSES.join(', ')}` })
+    const limit = Math.min(MAX_FEED_ITEMS, Math.max(1, Number(req.query.limit) || DEFAULT_FEED_ITEMS))
+    const bookmarks = await storage.listBookmarks(user._id, { sort: SORTS.newest, limit, tags, source, statuses })
+
+    // the validators cover every listed bookmark, so edits and deletions change the ETag too
+    const updated = new Date(Math.max(new Date(user.feedTokenCreatedAt || 0).getTime(), ...bookmarks.map((b) => new Date(b.updatedAt || b.createdAt).getTime())))
+    const version = bookmarks.map((b) => `${b._id}:${new Date(b.updatedAt || b.createdAt).getTime()}`).join(',')
+    const etag = `W/"${hashToken(`${format}|${tags.join(',')}|${source || ''}|${statuses.join(',')}|${limit}|${version}`).slice(0, 32)}"`
+    res.set('ETag', etag)
+    res.set('Last-Modified', updated.toUTCString())
+    res.set('Cache-Control', 'private, no-cache')
+    res.set('X-Robots-Tag', 'noindex')
+    if (req.fresh) return res.status(304).end()
+
+    const filters = [source && `source ${source}`, tags.length && `tagged ${tags.join(', ')}`, statuses.length && statuses.join(' or ')].filter(Boolean)
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`
+    const out = renderFeed(format, {
+      title: `${user.name}'s bookmarks${filters.length ? ` (${filters.join('; ')})` : ''}`,
+      description: `Bookmarks saved by ${user.name}`,
+      author: user.name,
+      id: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${user._id}`,
+      homeUrl: APP_URL,
+      selfUrl,
+      updated,
+      itemId: (b) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${b._id}`,
+    }, bookmarks)
+    res.type(out.contentType).send(out.body)
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Collections: user-owned folders of bookmarks
+router.get('/collections', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    res.json({ collections: await storage.listCollections(req.user.id) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+router.post('/collections', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim()
+    if (!name) return res.status(400).json({ error: 'Missing name' })
+    const exists = await storage.findCollectionByName(req.user.id, name)
+    if (exists) return res.status(409).json({ error: 'Collection already exists', collection: exists })
+    const collection = await storage.createCollection({ userId: req.user.id, name, description: req.body.description || '' })
+    res.status(201).json({ collection })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+router.put('/collections/:id', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const existing = await storage.findCollection(req.user.id, req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Not found' })
+    const { name, description } = req.body
+    const fields = {}
+    if (name !== undefined) {
+      const trimmed = String(name).trim()
+      if (!trimmed) return res.status(400).json({ error: 'Missing name' })
+      const clash = await storage.findCollectionByName(req.user.id, trimmed)
+      if (clash && String(clash._id) !== String(existing._id)) return res.status(409).json({ error: 'Collection already exists' })
+      fields.name = trimmed
+    }
+    if (description !== undefined) fields.description = description
+    const collection = await storage.updateCollection(req.user.id, existing._id, fields)
+    res.json({ collection })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Deleting a collection keeps its bookmarks; they just move out of it
+router.delete('/collections/:id', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const unfiled = await storage.deleteCollection(req.user.id, req.params.id)
+    if (unfiled === null) return res.status(404).json({ error: 'Not found' })
+    res.json({ ok: true, unfiled })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+function bulkIds(req, res) {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids : []
+  if (ids.length === 0) {
+    res.status(400).json({ error: 'Missing ids' })
+    return null
+  }
+  if (ids.length > 500) {
+    res.status(400).json({ error: 'Too many ids (max 500)' })
+    return null
+  }
+  if (!ids.every(isValidId)) {
+    res.status(400).json({ error: 'Invalid id' })
+    return null
+  }
+  return ids
+}
+
+// Bulk tag: POST /api/bookmarks/bulk/tags { ids, add: [], remove: [] }
+router.post('/bulk/tags', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    const ids = bulkIds(req, res)
+    if (!ids) return
+    const add = normalizeTags(req.body.add)
+    const remove = normalizeTags(req.body.remove)
+    if (!add.length && !remove.length) return res.status(400).json({ error: 'Nothing to add or remove' })
+    const modified = await storage.tagBookmarks(req.user.id, ids, add, remove)
+    res.json({ ok: true, modified })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Bulk move: POST /api/bookmarks/bulk/move { ids, collection } (null to unfile)
+router.post('/bulk/move', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    const ids = bulkIds(req, res)
+    if (!ids) return
+    const collectionId = await resolveCollectionId(req.user.id, req.body.collection === undefined ? null : req.body.collection)
+    if (collectionId === undefined) return res.status(400).json({ error: 'Invalid collection' })
+    const modified = await storage.moveBookmarks(req.user.id, ids, collectionId)
+    res.json({ ok: true, modified })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Offline copy of the article: GET /api/bookmarks/:id/content
+router.get('/:id/content', requireAuth('bookmarks:read'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const bm = await storage.findBookmark(req.user.id, req.params.id)
+    if (!bm) return res.status(404).json({ error: 'Not found' })
+    if (!bm.snapshot) return res.status(404).json({ error: 'No snapshot for this bookmark' })
+    if (bm.snapshot.status === 'pending') return res.status(202).json({ status: 'pending' })
+    res.json({ id: bm._id, title: bm.title, url: bm.url, ...bm.snapshot, paragraphs: bm.snapshot.text ? bm.snapshot.text.split('\n\n') : [] })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Re-capture the snapshot, e.g. after a failed first attempt: POST /api/bookmarks/:id/snapshot
+router.post('/:id/snapshot', requireAuth('bookmarks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const bm = await storage.updateBookmark(req.user.id, req.params.id, { snapshot: { status: 'pending' } })
+    if (!bm) return res.status(404).json({ error: 'Not found' })
+    queueSnapshot(bm._id, bm.url)
+    res.status(202).json({ status: 'pending' })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Update notes, title, tags, collection or read state:
+// PUT /api/bookmarks/:id { notes?, title?, tags?, collection?, status?, progress? (0-100) }
+router.put('/:id', requireAuth('bookmarks:write'), async (req, res) => {
   try {
     const { id } = req.params
-    const { notes, title } = req.body
-    const bm = await Bookmark.findOne({ _id: id, userId: req.user.id })
+    const { notes, title, tags, collection, status, progress } = req.body
+    if (!isValidId(id)) return res.status(404).json({ error: 'Not found' })
+    const fields = {}
+    if (status !== undefined || progress !== undefined) {
+      const existing = await storage.findBookmark(req.user.id, id)
+      if (!existing) return res.status(404).json({ error: 'Not found' })
+      const readState = readStateFields(existing, { status, progress })
+      if (readState.error) return res.status(400).json({ error: readState.error })
+      Object.assign(fields, readState.fields)
+    }
+    if (notes !== undefined) fields.notes = notes
+    if (title) fields.title = title
+    if (tags !== undefined) fields.tags = normalizeTags(tags)
+    if (collection !== undefined) {
+      const collectionId = await resolveCollectionId(req.user.id, collection)
+      if (collectionId === undefined) return res.status(400).json({ error: 'Invalid collection' })
+      fields.collectionId = collectionId
+    }
+    const bm = await storage.updateBookmark(req.user.id, id, fields)
     if (!bm) return res.status(404).json({ error: 'Not found' })
-    if (notes !== undefined) bm.notes = notes
-    if (title) bm.title = title
-    await bm.save()
+    // progress alone changes while scrolling; not worth an event each time
+    if (Object.keys(fields).some((f) => f !== 'progress')) webhooks.emit(req.user.id, 'bookmark.updated', bm)
     res.json({ bookmark: bm })
   } catch (err) {
     console.error(err)
@@ -67,11 +633,17 @@ router.put('/:id', authMiddleware, async (req, res) => {
 })
 
 // Delete bookmark
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', requireAuth('bookmarks:write'), async (req, res) => {
   try {
     const { id } = req.params
-    const bm = await Bookmark.findOneAndDelete({ _id: id, userId: req.user.id })
-    if (!bm) return res.status(404).json({ error: 'Not found' })
+    if (!isValidId(id)) return res.status(404).json({ error: 'Not found' })
+    // read first so the webhook payload can say what was deleted
+    const bm = await storage.findBookmark(req.user.id, id)
+    const deleted = bm && (await storage.deleteBookmark(req.user.id, id))
+    if (!deleted) return res.status(404).json({ error: 'Not found' })
+    // annotations only live in MongoDB; any left behind while it's down are dropped when next read
+    if (databaseConnected()) await Annotation.deleteMany({ userId: req.user.id, bookmarkId: bm._id })
+    webhooks.emit(req.user.id, 'bookmark.deleted', bm)
     res.json({ ok: true })
   } catch (err) {
     console.error(err)
@@ -79,17 +651,14 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 })
 
-// Stats for current user: total and counts by source
-router.get('/stats', authMiddleware, async (req, res) => {
+// Stats for current user: total, counts by source, tag and collection, and reading habits
+// (read per week, average read time, backlog) over the last `weeks` weeks
+// GET /api/bookmarks/stats?weeks=12
+router.get('/stats', requireAuth('bookmarks:read'), async (req, res) => {
   try {
-    const agg = await Bookmark.aggregate([
-      { $match: { userId: mongoose.Types.ObjectId(req.user.id) } },
-      { $group: { _id: '$source', count: { $sum: 1 } } },
-      { $project: { source: '$_id', count: 1, _id: 0 } },
-      { $sort: { count: -1 } },
-    ])
-    const total = await Bookmark.countDocuments({ userId: req.user.id })
-    res.json({ total, bySource: agg })
+    const weeks = req.query.weeks === undefined ? 12 : Number(req.query.weeks)
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 104) return res.status(400).json({ error: 'weeks must be an integer from 1 to 104' })
+    res.json(await storage.bookmarkStats(req.user.id, { weeks }))
   } catch (err) {
     console.error(err)
     res.status(500).json({ error: 'Server error' })
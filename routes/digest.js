@@ -0,0 +1,128 @@
+const express = require('express')
+const router = express.Router()
+const DigestSettings = require('../models/DigestSettings')
+const { buildDigest, renderMarkdown, renderHtml, sendDigest, subjectFor, nextSendAt, isValidTimezone, MAX_TOPICS } = require('../lib/digest')
+const { storage } = require('../lib/storage')
+const { requireAuth } = require('../lib/auth')
+const { rateLimit } = require('../lib/rateLimit')
+
+const FREQUENCIES = ['daily', 'weekly']
+const PREVIEW_FORMATS = ['html', 'markdown', 'json']
+const SETTINGS_FIELDS = ['enabled', 'frequency', 'hour', 'weekday', 'timezone', 'category', 'country', 'language', 'headlines', 'includeSearches', 'lastSentAt', 'nextSendAt', 'lastError']
+
+// A digest makes up to one headlines call plus one per saved-search topic against the news budget;
+// sending also mails the user, so it gets its own hourly limit
+const limitPreview = rateLimit('news', () => 1 + MAX_TOPICS)
+const limitSend = rateLimit('digest')
+
+function publicSettings(s) {
+  const out = {}
+  for (const f of SETTINGS_FIELDS) out[f] = s[f]
+  return out
+}
+
+// The user's settings, or unsaved defaults
+async function loadSettings(userId) {
+  return (await DigestSettings.findOne({ userId })) || new DigestSettings({ userId })
+}
+
+// Validate the editable settings; returns { fields } or { error }
+function parseSettings(body) {
+  const fields = {}
+  const int = (name, min, max) => {
+    const v = Number(body[name])
+    return Number.isInteger(v) && v >= min && v <= max ? v : null
+  }
+  // JSON booleans from PUT, strings from the preview query
+  const bool = (v) => v === true || v === 'true' || v === '1'
+  if (body.enabled !== undefined) fields.enabled = bool(body.enabled)
+  if (body.includeSearches !== undefined) fields.includeSearches = bool(body.includeSearches)
+  if (body.frequency !== undefined) {
+    if (!FREQUENCIES.includes(body.frequency)) return { error: `frequency must be one of ${FREQUENCIES.join(', ')}` }
+    fields.frequency = body.frequency
+  }
+  if (body.hour !== undefined) {
+    fields.hour = int('hour', 0, 23)
+    if (fields.hour === null) return { error: 'hour must be an integer from 0 to 23' }
+  }
+  if (body.weekday !== undefined) {
+    fields.weekday = int('weekday', 0, 6)
+    if (fields.weekday === null) return { error: 'weekday must be an integer from 0 (Sunday) to 6' }
+  }
+  if (body.headlines !== undefined) {
+    fields.headlines = int('headlines', 0, 20)
+    if (fields.headlines === null) return { error: 'headlines must be an integer from 0 to 20' }
+  }
+  if (body.timezone !== undefined) {
+    const tz = String(body.timezone).trim()
+    if (!isValidTimezone(tz)) return { error: 'timezone must be an IANA time zone such as Europe/Berlin' }
+    fields.timezone = tz
+  }
+  for (const f of ['category', 'country', 'language']) {
+    if (body[f] !== undefined) fields[f] = String(body[f]).trim().toLowerCase().slice(0, 40)
+  }
+  return { fields }
+}
+
+// GET /api/digest/settings
+router.get('/settings', requireAuth('digest:read'), async (req, res) => {
+  try {
+    res.json({ settings: publicSettings(await loadSettings(req.user.id)) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// PUT /api/digest/settings { enabled, frequency, hour, weekday, timezone, category, country, language, headlines, includeSearches }
+router.put('/settings', requireAuth('digest:write'), async (req, res) => {
+  try {
+    const { fields, error } = parseSettings(req.body || {})
+    if (error) return res.status(400).json({ error })
+    const settings = await loadSettings(req.user.id)
+    Object.assign(settings, fields)
+    settings.nextSendAt = settings.enabled ? nextSendAt(settings) : null
+    await settings.save()
+    res.json({ settings: publicSettings(settings) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /api/digest/preview?format=html|markdown|json - the digest as it would be sent now (settings
+// from the query override the saved ones, e.g. ?frequency=weekly)
+router.get('/preview', requireAuth('digest:read', 'bookmarks:read'), limitPreview, async (req, res) => {
+  const format = String(req.query.format || 'html').toLowerCase()
+  if (!PREVIEW_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${PREVIEW_FORMATS.join(', ')}` })
+  const { fields, error } = parseSettings(req.query)
+  if (error) return res.status(400).json({ error })
+  try {
+    const user = await storage.findUserById(req.user.id)
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    const settings = Object.assign((await loadSettings(req.user.id)).toObject(), fields)
+    const digest = await buildDigest(user, settings)
+    if (format === 'markdown') return res.type('text/markdown; charset=utf-8').send(renderMarkdown(digest))
+    if (format === 'json') return res.json({ subject: subjectFor(digest), digest })
+    res.type('html').send(renderHtml(digest))
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/digest/send - mail the digest now, without changing the schedule
+router.post('/send', requireAuth('digest:write', 'bookmarks:read'), limitSend, async (req, res) => {
+  try {
+    const user = await storage.findUserById(req.user.id)
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    const settings = await loadSettings(req.user.id)
+    const { sent, digest } = await sendDigest(user, settings.toObject())
+    res.json({ sent, subject: subjectFor(digest), ...(sent ? {} : { reason: 'Nothing to send' }) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,114 @@
+const express = require('express')
+const router = express.Router()
+const SavedSearch = require('../models/SavedSearch')
+const { getNews, canonicalUrl, dedupeArticles } = require('../lib/news')
+const { requireAuth } = require('../lib/auth')
+const { rateLimit } = require('../lib/rateLimit')
+const { storage } = require('../lib/storage')
+
+const PER_SEARCH_PAGE_SIZE = 30
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+// how much a favourite source can lift an article, relative to one day of recency
+const SOURCE_BOOST = 0.5
+
+function normSource(source) {
+  return String(source || '').trim().toLowerCase()
+}
+
+// Bookmark counts per source, from the same stats /api/bookmarks/stats reports as bySource
+async function sourceAffinity(userId) {
+  const { bySource } = await storage.bookmarkStats(userId)
+  const counts = new Map()
+  for (const r of bySource) {
+    const key = normSource(r.source)
+    if (key) counts.set(key, (counts.get(key) || 0) + r.count)
+  }
+  return counts
+}
+
+async function bookmarkedUrls(userId) {
+  const rows = await storage.allBookmarks(userId)
+  return new Set(rows.map((b) => canonicalUrl(b.url)).filter(Boolean))
+}
+
+// Recency decays over a day or two; sources the user bookmarks often get up to SOURCE_BOOST on top
+function scoreArticle(article, affinity, maxAffinity, now) {
+  const t = new Date(article.time).getTime()
+  const ageHours = Number.isNaN(t) ? 72 : Math.max(0, (now - t) / 3600000)
+  const recency = 1 / (1 + ageHours / 24)
+  const count = affinity.get(normSource(article.source)) || 0
+  const boost = maxAffinity ? (SOURCE_BOOST * Math.log1p(count)) / Math.log1p(maxAffinity) : 0
+  return { score: Math.round((recency + boost) * 1000) / 1000, sourceBoost: Math.round(boost * 1000) / 1000 }
+}
+
+// Each saved search is one getNews call, so the feed draws on the news budget once per search
+const limitFeed = rateLimit('news', (req) => SavedSearch.countDocuments({ userId: req.user.id }))
+
+// GET /api/feed?page=&pageSize= - the user's saved searches merged into one ranked list
+router.get('/', requireAuth('news:read', 'searches:read'), limitFeed, async (req, res) => {
+  try {
+    const page = Math.max(0, parseInt(req.query.page, 10) || 0)
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE))
+    const searches = await SavedSearch.find({ userId: req.user.id }).sort({ createdAt: 1 })
+    if (searches.length === 0) return res.json({ articles: [], searches: [], total: 0, page, pageSize })
+
+    const settled = await Promise.allSettled(
+      searches.map((s) => {
+        const params = { q: s.q, category: s.category, country: s.country, language: s.language, page: '0', pageSize: String(PER_SEARCH_PAGE_SIZE) }
+        return getNews(params, s.provider || 'auto')
+      })
+    )
+
+    const report = []
+    const matchedBy = new Map()
+    let merged = []
+    settled.forEach((result, i) => {
+      const s = searches[i]
+      const entry = { id: s._id, name: s.name, provider: s.provider }
+      if (result.status === 'fulfilled') {
+        const articles = result.value.payload.articles || []
+        entry.count = articles.length
+        entry.servedBy = result.value.payload.provider
+        for (const a of articles) {
+          const key = canonicalUrl(a.url) || a.id
+          if (!matchedBy.has(key)) matchedBy.set(key, [])
+          matchedBy.get(key).push(String(s._id))
+        }
+        merged = merged.concat(articles)
+      } else {
+        entry.count = 0
+        entry.error = (result.reason && result.reason.message) || String(result.reason)
+      }
+      report.push(entry)
+    })
+
+    const [affinity, bookmarked] = await Promise.all([sourceAffinity(req.user.id), bookmarkedUrls(req.user.id)])
+    const maxAffinity = Math.max(0, ...affinity.values())
+    const now = Date.now()
+    const ranked = dedupeArticles(merged)
+      .map((a) => {
+        const key = canonicalUrl(a.url) || a.id
+        return {
+          ...a,
+          ...scoreArticle(a, affinity, maxAffinity, now),
+          matchedSearches: [...new Set(matchedBy.get(key) || [])],
+          bookmarked: bookmarked.has(canonicalUrl(a.url)),
+        }
+      })
+      .sort((a, b) => b.score - a.score)
+
+    res.json({
+      articles: ranked.slice(page * pageSize, (page + 1) * pageSize),
+      searches: report,
+      total: ranked.length,
+      page,
+      pageSize,
+    })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
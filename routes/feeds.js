@@ -0,0 +1,82 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const Feed = require('../models/Feed')
+const { fetchFeed } = require('../lib/feeds')
+const { requireAuth } = require('../lib/auth')
+
+const MAX_FEEDS_PER_USER = 100
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+// List the current user's feeds
+router.get('/', requireAuth('feeds:read'), async (req, res) => {
+  try {
+    const feeds = await Feed.find({ userId: req.user.id }).sort({ createdAt: 1 })
+    res.json({ feeds })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Subscribe to a feed; it is fetched once so broken URLs are rejected up front
+router.post('/', requireAuth('feeds:write'), async (req, res) => {
+  try {
+    const url = String(req.body.url || '').trim()
+    if (!url) return res.status(400).json({ error: 'Missing url' })
+    const exists = await Feed.findOne({ userId: req.user.id, url })
+    if (exists) return res.status(409).json({ error: 'Already subscribed', feed: exists })
+    const count = await Feed.countDocuments({ userId: req.user.id })
+    if (count >= MAX_FEEDS_PER_USER) return res.status(400).json({ error: `Feed limit reached (${MAX_FEEDS_PER_USER})` })
+
+    let parsed
+    try {
+      parsed = await fetchFeed(url)
+    } catch (err) {
+      return res.status(422).json({ error: `Could not read feed: ${err.message}`, code: err.code })
+    }
+    const feed = await Feed.create({
+      userId: req.user.id,
+      url,
+      title: String(req.body.title || '').trim() || parsed.title || url,
+      siteUrl: parsed.link || '',
+    })
+    res.status(201).json({ feed, items: parsed.articles.length })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Rename a feed
+router.put('/:id', requireAuth('feeds:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const feed = await Feed.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!feed) return res.status(404).json({ error: 'Not found' })
+    if (req.body.title !== undefined) feed.title = String(req.body.title).trim()
+    await feed.save()
+    res.json({ feed })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Unsubscribe
+router.delete('/:id', requireAuth('feeds:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const feed = await Feed.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+    if (!feed) return res.status(404).json({ error: 'Not found' })
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
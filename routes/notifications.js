@@ -0,0 +1,123 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const Notification = require('../models/Notification')
+const hub = require('../lib/notificationHub')
+const { requireAuth } = require('../lib/auth')
+const { signStreamTicket, verifyStreamTicket, accessTokenSeconds } = require('../lib/tokens')
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+const HEARTBEAT_MS = 25 * 1000
+const MAX_REPLAY = 100
+
+// EventSource can't send headers, so the stream also accepts ?ticket= from POST /stream-ticket.
+// Access tokens are never taken from the URL.
+function streamAuth(req, res, next) {
+  if (!req.headers.authorization && req.query.ticket) {
+    const userId = verifyStreamTicket(req.query.ticket)
+    if (!userId) return res.status(401).json({ error: 'Invalid or expired ticket' })
+    req.user = { id: String(userId), email: null, type: 'ticket', scopes: ['notifications:read'], tokenId: null }
+    return next()
+  }
+  return requireAuth('notifications:read')(req, res, next)
+}
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+function writeEvent(res, notification) {
+  res.write(`id: ${notification._id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`)
+}
+
+// POST /api/notifications/stream-ticket - a ticket for /stream?ticket=, valid for a minute; get a
+// new one to reconnect after it expires
+router.post('/stream-ticket', requireAuth('notifications:read'), (req, res) => {
+  const ticket = signStreamTicket(req.user.id)
+  res.json({ ticket, expiresIn: accessTokenSeconds(ticket) })
+})
+
+// GET /api/notifications/stream - Server-Sent Events; Last-Event-ID replays what was missed
+router.get('/stream', streamAuth, async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+  res.write('retry: 10000\n\n')
+
+  const unsubscribe = hub.subscribe(String(req.user.id), (n) => writeEvent(res, n))
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+
+  const lastId = req.headers['last-event-id']
+  if (lastId && isValidId(lastId)) {
+    try {
+      const missed = await Notification.find({ userId: req.user.id, _id: { $gt: lastId } })
+        .sort({ _id: 1 })
+        .limit(MAX_REPLAY)
+        .lean()
+      for (const n of missed) writeEvent(res, n)
+    } catch (err) {
+      console.warn('Notifications: replay failed:', err.message || err)
+    }
+  }
+})
+
+// GET /api/notifications?unread=true&limit=&before= - newest first, paged by id
+router.get('/', requireAuth('notifications:read'), async (req, res) => {
+  try {
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT))
+    const filter = { userId: req.user.id }
+    if (req.query.unread === 'true') filter.read = false
+    if (req.query.before) {
+      if (!isValidId(req.query.before)) return res.status(400).json({ error: 'Invalid cursor' })
+      filter._id = { $lt: req.query.before }
+    }
+    const notifications = await Notification.find(filter).sort({ _id: -1 }).limit(limit + 1)
+    const hasMore = notifications.length > limit
+    const page = notifications.slice(0, limit)
+    const unread = await Notification.countDocuments({ userId: req.user.id, read: false })
+    res.json({ notifications: page, unread, nextCursor: hasMore ? page[page.length - 1]._id : null })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Mark every notification read
+router.post('/read-all', requireAuth('notifications:write'), async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.user.id, read: false }, { $set: { read: true, readAt: new Date() } })
+    res.json({ updated: result.modifiedCount })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Mark one notification read (or unread with { read: false })
+router.post('/:id/read', requireAuth('notifications:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const read = !(req.body && req.body.read === false)
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { read, readAt: read ? new Date() : null } },
+      { new: true }
+    )
+    if (!notification) return res.status(404).json({ error: 'Not found' })
+    res.json({ notification })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
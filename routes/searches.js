@@ -0,0 +1,119 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const SavedSearch = require('../models/SavedSearch')
+const { order } = require('../lib/news')
+const { requireAuth } = require('../lib/auth')
+
+const MAX_SEARCHES_PER_USER = 25
+const PROVIDERS = ['auto', 'all', ...order]
+const FIELDS = ['q', 'category', 'country', 'language']
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+// Validate the editable fields of a saved search; returns { update } or { error }
+function parseSearch(body, partial) {
+  const update = {}
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').replace(/\s+/g, ' ').trim()
+    if (!name) return { error: 'Missing name' }
+    if (name.length > 100) return { error: 'Name too long' }
+    update.name = name
+  }
+  for (const field of FIELDS) {
+    if (body[field] !== undefined) update[field] = String(body[field]).trim()
+  }
+  if (body.provider !== undefined) {
+    const provider = String(body.provider).trim().toLowerCase()
+    if (!PROVIDERS.includes(provider)) return { error: `provider must be one of: ${PROVIDERS.join(', ')}` }
+    update.provider = provider
+  }
+  if (body.notify !== undefined) update.notify = body.notify === true || body.notify === 'true'
+  if (!partial && !update.q && !update.category && !update.country) return { error: 'A search needs at least one of q, category or country' }
+  return { update }
+}
+
+// List saved searches
+router.get('/', requireAuth('searches:read'), async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user.id }).sort({ createdAt: 1 })
+    res.json({ searches })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Create a saved search
+router.post('/', requireAuth('searches:write'), async (req, res) => {
+  try {
+    const { update, error } = parseSearch(req.body || {}, false)
+    if (error) return res.status(400).json({ error })
+    const count = await SavedSearch.countDocuments({ userId: req.user.id })
+    if (count >= MAX_SEARCHES_PER_USER) return res.status(400).json({ error: `Saved search limit reached (${MAX_SEARCHES_PER_USER})` })
+    const exists = await SavedSearch.findOne({ userId: req.user.id, name: update.name })
+    if (exists) return res.status(409).json({ error: 'A saved search with that name already exists' })
+    const search = await SavedSearch.create({ ...update, userId: req.user.id })
+    res.status(201).json({ search })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+router.get('/:id', requireAuth('searches:read'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!search) return res.status(404).json({ error: 'Not found' })
+    res.json({ search })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Update a saved search
+router.put('/:id', requireAuth('searches:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!search) return res.status(404).json({ error: 'Not found' })
+    const { update, error } = parseSearch(req.body || {}, true)
+    if (error) return res.status(400).json({ error })
+    if (update.name && update.name !== search.name) {
+      const clash = await SavedSearch.findOne({ userId: req.user.id, name: update.name })
+      if (clash) return res.status(409).json({ error: 'A saved search with that name already exists' })
+    }
+    Object.assign(search, update)
+    // a changed query starts over: the next poll records a fresh baseline instead of notifying
+    if (['q', 'category', 'country', 'language', 'provider'].some((f) => update[f] !== undefined)) {
+      search.lastPolledAt = null
+      search.nextPollAt = null
+      search.pollFailures = 0
+    }
+    if (!search.q && !search.category && !search.country) return res.status(400).json({ error: 'A search needs at least one of q, category or country' })
+    await search.save()
+    res.json({ search })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Delete a saved search
+router.delete('/:id', requireAuth('searches:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+    if (!search) return res.status(404).json({ error: 'Not found' })
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
@@ -1,55 +1,16 @@
 const express = require('express')
 const router = express.Router()
-const { URL } = require('url')
-const net = require('net')
+const { decodeBody } = require('../lib/html')
+const { normalizeLang, phraseSeparator } = require('../lib/language')
+const { summarizeText } = require('../lib/summarizer')
+const { safeFetch, SafeFetchError, HTML_TYPES } = require('../lib/safeFetch')
 
 const TIMEOUT_MS = 8000
 const MAX_BYTES = 300 * 1024
 
-function isPrivateIp(ip) {
-  const v = net.isIP(ip)
-  if (v === 4) {
-    const parts = ip.split('.').map((n) => parseInt(n, 10))
-    if (parts[0] === 10) return true
-    if (parts[0] === 127) return true
-    if (parts[0] === 169 && parts[1] === 254) return true
-    if (parts[0] === 192 && parts[1] === 168) return true
-    if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true
-    return false
-  }
-  if (v === 6) {
-    if (ip === '::1' || ip === '0:0:0:0:0:0:0:1') return true
-    if (ip.startsWith('fc') || ip.startsWith('fd')) return true
-    return false
-  }
-  return false
-}
-
 async function fetchTextFromUrl(url) {
-  const controller = new AbortController()
-  const id = setTimeout(() => controller.abort(), TIMEOUT_MS)
-  const res = await fetch(url, { method: 'GET', headers: { 'User-Agent': 'NewsDashboard/1.0' }, signal: controller.signal })
-  clearTimeout(id)
-  if (!res.ok) throw new Error('Remote fetch failed')
-  let text = ''
-  if (res.body && typeof res.body.getReader === 'function') {
-    const reader = res.body.getReader()
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
-      if (value) {
-        const chunk = Buffer.from(value).toString('utf8')
-        text += chunk
-        if (text.length > MAX_BYTES) {
-          controller.abort()
-          throw new Error('Content too large')
-        }
-      }
-    }
-  } else {
-    text = await res.text()
-    if (text.length > MAX_BYTES) text = text.slice(0, MAX_BYTES)
-  }
+  const remote = await safeFetch(url, { timeoutMs: TIMEOUT_MS, maxBytes: MAX_BYTES, allowedTypes: [...HTML_TYPES, 'text/plain'] })
+  let text = decodeBody(remote.body, remote.contentType)
   // strip tags
   text = text.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, ' ')
   text = text.replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, ' ')
@@ -58,108 +19,44 @@ async function fetchTextFromUrl(url) {
   return text
 }
 
-function splitSentences(text) {
-  return text
-    .replace(/\n/g, ' ')
-    .split(/(?<=[.!?])\s+/)
-    .map((s) => s.trim())
-    .filter(Boolean)
-}
-
-function tokenize(s) {
-  return s
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter((w) => w.length > 2)
-}
-
-function buildSentenceVectors(sentences) {
-  const vocab = new Map()
-  let idx = 0
-  const vectors = []
-  for (const s of sentences) {
-    const toks = tokenize(s)
-    const freq = {}
-    for (const t of toks) {
-      if (!vocab.has(t)) vocab.set(t, idx++)
-      const id = vocab.get(t)
-      freq[id] = (freq[id] || 0) + 1
-    }
-    vectors.push(freq)
-  }
-  return { vectors, vocabSize: vocab.size }
-}
-
-function cosineSim(a, b) {
-  let dot = 0
-  let na = 0
-  let nb = 0
-  for (const k in a) {
-    const av = a[k]
-    na += av * av
-    if (b[k]) dot += av * b[k]
-  }
-  for (const k in b) {
-    const bv = b[k]
-    nb += bv * bv
-  }
-  if (na === 0 || nb === 0) return 0
-  return dot / (Math.sqrt(na) * Math.sqrt(nb))
-}
+const FORMATS = ['paragraph', 'bullets', 'json']
 
-function textRank(sentences, vectors, opts = {}) {
-  const d = opts.damping || 0.85
-  const iters = opts.iters || 20
-  const n = sentences.length
-  if (n === 0) return []
-  if (n === 1) return [0]
-  // build similarity matrix
-  const sim = Array.from({ length: n }, () => Array(n).fill(0))
-  for (let i = 0; i < n; i++) {
-    for (let j = i + 1; j < n; j++) {
-      const s = cosineSim(vectors[i], vectors[j])
-      sim[i][j] = s
-      sim[j][i] = s
-    }
-  }
-  // normalize rows
-  const rowSum = sim.map((row) => row.reduce((a, b) => a + b, 0))
-  const scores = new Array(n).fill(1 / n)
-  for (let it = 0; it < iters; it++) {
-    const next = new Array(n).fill((1 - d) / n)
-    for (let i = 0; i < n; i++) {
-      if (rowSum[i] === 0) continue
-      for (let j = 0; j < n; j++) {
-        if (sim[j][i] <= 0) continue
-        next[i] += d * (sim[j][i] / rowSum[j]) * scores[j]
-      }
+// Read and validate summarize options from the query string (GET) or JSON body (POST)
+function parseOptions(input) {
+  const opts = {}
+  const errors = []
+  const num = (name, { min, max, integer }) => {
+    if (input[name] === undefined || input[name] === '') return undefined
+    const v = Number(input[name])
+    if (!Number.isFinite(v) || v < min || v > max || (integer && !Number.isInteger(v))) {
+      errors.push(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`)
+      return undefined
     }
-    for (let k = 0; k < n; k++) scores[k] = next[k]
+    return v
   }
-  return scores.map((s, idx) => ({ idx, score: s })).sort((a, b) => b.score - a.score)
+  opts.sentences = num('sentences', { min: 1, max: 100, integer: true })
+  opts.ratio = num('ratio', { min: 0.01, max: 1 })
+  opts.maxChars = num('maxChars', { min: 20, max: 100000, integer: true })
+  const keywords = num('keywords', { min: 0, max: 50, integer: true })
+  opts.keywords = keywords === undefined ? 10 : keywords
+  opts.lang = input.lang ? normalizeLang(input.lang) : ''
+  if (opts.lang && !/^[a-z]{2,3}$/.test(opts.lang)) errors.push('lang must be an ISO 639 language code')
+  opts.format = input.format ? String(input.format).toLowerCase() : 'paragraph'
+  if (!FORMATS.includes(opts.format)) errors.push(`format must be one of ${FORMATS.join(', ')}`)
+  return { opts, errors }
 }
 
-router.get('/', async (req, res) => {
-  const url = req.query.url
-  const rawText = req.query.text
+async function handleSummarize(req, res, input) {
+  const url = input.url
+  const rawText = input.text
   let text = ''
 
+  const { opts, errors } = parseOptions(input)
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') })
+
   try {
     if (url) {
-      let parsed
-      try {
-        parsed = new URL(url)
-      } catch (err) {
-        return res.status(400).json({ error: 'Invalid url' })
-      }
-      if (!['http:', 'https:'].includes(parsed.protocol)) return res.status(400).json({ error: 'Invalid protocol' })
-      const hostname = parsed.hostname.toLowerCase()
-      if (hostname === 'localhost' || hostname.endsWith('.localhost')) return res.status(400).json({ error: 'Disallowed host' })
-      if (net.isIP(hostname)) {
-        if (isPrivateIp(hostname)) return res.status(400).json({ error: 'Disallowed IP' })
-      }
-      text = await fetchTextFromUrl(url)
+      text = await fetchTextFromUrl(String(url))
     } else if (rawText) {
       text = String(rawText).slice(0, MAX_BYTES)
     } else {
@@ -168,21 +65,32 @@ router.get('/', async (req, res) => {
 
     if (!text || text.trim().length === 0) return res.status(422).json({ error: 'No text to summarize' })
 
-    const sentences = splitSentences(text).slice(0, 60) // limit sentences
-    if (sentences.length === 0) return res.status(422).json({ error: 'No sentences' })
-    if (sentences.length <= 3) return res.json({ summary: sentences.join(' ') })
+    const result = summarizeText(text, opts)
+    if (!result) return res.status(422).json({ error: 'No sentences' })
 
-    const { vectors } = buildSentenceVectors(sentences)
-    const ranked = textRank(sentences, vectors, { damping: 0.85, iters: 30 })
-    const topCount = Math.min(3, Math.max(1, Math.floor(sentences.length * 0.2)))
-    const top = ranked.slice(0, topCount).sort((a, b) => a.idx - b.idx).map((t) => sentences[t.idx])
-    const summary = top.join(' ')
-    return res.json({ summary })
+    const { picked, sentenceCount, language, languageDetected, keywords } = result
+    const out = { format: opts.format, language, languageDetected, sentenceCount, keywords }
+    if (opts.format === 'bullets') {
+      out.bullets = picked.map((p) => p.text)
+      out.summary = out.bullets.map((b) => `- ${b}`).join('\n')
+    } else {
+      out.summary = picked.map((p) => p.text).join(phraseSeparator(language))
+    }
+    if (opts.format === 'json') {
+      out.sentences = picked.map((p) => ({ index: p.idx, text: p.text, score: Number(p.score.toFixed(6)) }))
+    }
+    return res.json(out)
   } catch (err) {
-    if (err.name === 'AbortError') return res.status(504).json({ error: 'Timeout fetching remote' })
+    if (err instanceof SafeFetchError) return res.status(err.status).json({ error: err.message, code: err.code })
     console.error('summarize error', err)
     return res.status(500).json({ error: 'Server error' })
   }
-})
+}
+
+// GET /api/summarize?url=|text=&lang=&sentences=&ratio=&maxChars=&format=&keywords=
+router.get('/', (req, res) => handleSummarize(req, res, req.query))
+
+// POST /api/summarize { url | text, lang, sentences, ratio, maxChars, format, keywords }
+router.post('/', (req, res) => handleSummarize(req, res, req.body || {}))
 
 module.exports = router
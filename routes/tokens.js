@@ -0,0 +1,76 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const ApiToken = require('../models/ApiToken')
+const { SCOPES, createPersonalToken, requireSession } = require('../lib/auth')
+
+const MAX_TOKENS_PER_USER = 20
+const MAX_EXPIRY_DAYS = 365
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+// Token as listed to its owner; the hash never leaves the server
+function publicToken(t) {
+  return { id: t._id, name: t.name, prefix: t.prefix, scopes: t.scopes, lastUsedAt: t.lastUsedAt, expiresAt: t.expiresAt, createdAt: t.createdAt }
+}
+
+// Only a login session can manage tokens, so a leaked token can't mint or keep itself alive
+router.use(requireSession)
+
+// GET /api/tokens - the available scopes and the user's tokens
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user.id }).sort({ createdAt: -1 })
+    res.json({ scopes: SCOPES, tokens: tokens.map(publicToken) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/tokens { name, scopes, expiresInDays? } - the raw token is only returned here
+router.post('/', async (req, res) => {
+  try {
+    const name = String((req.body && req.body.name) || '').replace(/\s+/g, ' ').trim()
+    if (!name) return res.status(400).json({ error: 'Missing name' })
+    if (name.length > 100) return res.status(400).json({ error: 'Name too long' })
+    const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes.map(String))] : []
+    if (scopes.length === 0) return res.status(400).json({ error: 'At least one scope is required', scopes: SCOPES })
+    const unknown = scopes.filter((s) => !SCOPES.includes(s))
+    if (unknown.length) return res.status(400).json({ error: `Unknown scope: ${unknown.join(', ')}`, scopes: SCOPES })
+
+    let expiresAt = null
+    if (req.body.expiresInDays !== undefined && req.body.expiresInDays !== null) {
+      const days = Number(req.body.expiresInDays)
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` })
+      expiresAt = new Date(Date.now() + days * 24 * 3600 * 1000)
+    }
+
+    const count = await ApiToken.countDocuments({ userId: req.user.id })
+    if (count >= MAX_TOKENS_PER_USER) return res.status(400).json({ error: `Token limit reached (${MAX_TOKENS_PER_USER})` })
+
+    const { raw, hash, prefix } = createPersonalToken()
+    const token = await ApiToken.create({ userId: req.user.id, name, tokenHash: hash, prefix, scopes, expiresAt })
+    res.status(201).json({ token: raw, ...publicToken(token) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// DELETE /api/tokens/:id - revoke a token
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const token = await ApiToken.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+    if (!token) return res.status(404).json({ error: 'Not found' })
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,51 @@
+const express = require('express')
+const router = express.Router()
+const { risingTerms, TRENDS_RETENTION_DAYS } = require('../lib/trends')
+
+const UNITS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 }
+
+// "90m", "24h", "7d" -> milliseconds; null when malformed
+function parseWindow(value) {
+  const m = /^(\d+)\s*([mhd])$/i.exec(String(value).trim())
+  return m ? Number(m[1]) * UNITS[m[2].toLowerCase()] : null
+}
+
+function intParam(value, fallback, min, max) {
+  if (value === undefined || value === '') return fallback
+  const n = Number(value)
+  return Number.isInteger(n) && n >= min && n <= max ? n : null
+}
+
+// GET /api/trends?window=24h&baseline=7d&category=&country=&limit=&minCount=&samples=
+// Terms rising in the last window compared with the baseline period before it (default: one more
+// window), from headlines seen via /api/news. previous is the baseline count, expected the same
+// scaled to the window's length.
+router.get('/', async (req, res) => {
+  const { window = '24h', category = '', country = '' } = req.query
+  const baseline = req.query.baseline || window
+  const windowMs = parseWindow(window)
+  const baselineMs = parseWindow(baseline)
+  if (!windowMs || windowMs < UNITS.h || !baselineMs || baselineMs < UNITS.h) {
+    return res.status(400).json({ error: 'window and baseline must be durations like 6h or 7d, at least 1h' })
+  }
+  // both periods have to fit in what is retained
+  if (windowMs + baselineMs > TRENDS_RETENTION_DAYS * UNITS.d) {
+    return res.status(400).json({ error: `window plus baseline can cover at most the ${TRENDS_RETENTION_DAYS}d retention` })
+  }
+  const limit = intParam(req.query.limit, 20, 1, 100)
+  const minCount = intParam(req.query.minCount, 2, 1, 1000)
+  const samples = intParam(req.query.samples, 3, 0, 10)
+  if (limit === null || minCount === null || samples === null) {
+    return res.status(400).json({ error: 'limit (1-100), minCount (1-1000) and samples (0-10) must be integers' })
+  }
+
+  try {
+    const result = await risingTerms({ windowMs, baselineMs, category: String(category), country: String(country), limit, minCount, samples })
+    res.json({ window, baseline, category, country, retentionDays: TRENDS_RETENTION_DAYS, ...result })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router
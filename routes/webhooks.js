@@ -0,0 +1,216 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const Webhook = require('../models/Webhook')
+const WebhookDelivery = require('../models/WebhookDelivery')
+const { WEBHOOK_EVENTS } = require('../models/Webhook')
+const { generateSecret, sendTest } = require('../lib/webhooks')
+const { validateUrl } = require('../lib/safeFetch')
+const { requireAuth } = require('../lib/auth')
+
+const MAX_WEBHOOKS_PER_USER = 10
+const FORMATS = ['json', 'slack']
+const DEFAULT_DELIVERY_PAGE = 20
+const MAX_DELIVERY_PAGE = 100
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id))
+}
+
+// Webhook as shown to its owner; the secret is only included when it was just created or rotated
+function publicWebhook(w, secret) {
+  const out = {
+    id: w._id,
+    url: w.url,
+    description: w.description,
+    events: w.events,
+    format: w.format,
+    active: w.active,
+    consecutiveFailures: w.consecutiveFailures,
+    disabledAt: w.disabledAt,
+    disabledReason: w.disabledReason,
+    lastDeliveryAt: w.lastDeliveryAt,
+    lastStatus: w.lastStatus,
+    createdAt: w.createdAt,
+  }
+  if (secret) out.secret = secret
+  return out
+}
+
+function publicDelivery(d) {
+  return {
+    id: d._id,
+    event: d.event,
+    status: d.status,
+    attempts: d.attempts,
+    nextAttemptAt: d.nextAttemptAt,
+    responseStatus: d.responseStatus,
+    error: d.error,
+    durationMs: d.durationMs,
+    test: d.test,
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt,
+  }
+}
+
+// Validate { url, description, events, format } from a create (all) or update (only given fields)
+function parseWebhook(body, partial) {
+  const fields = {}
+  if (!partial || body.url !== undefined) {
+    const url = String(body.url || '').trim()
+    if (!url) return { error: 'Missing url' }
+    try {
+      validateUrl(url)
+    } catch (err) {
+      return { error: `Invalid url: ${err.message}` }
+    }
+    fields.url = url
+  }
+  if (body.description !== undefined) fields.description = String(body.description).replace(/\s+/g, ' ').trim().slice(0, 200)
+  if (body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : []
+    if (!events.length) return { error: 'events must be a non-empty array', events: WEBHOOK_EVENTS }
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e))
+    if (unknown.length) return { error: `Unknown event: ${unknown.join(', ')}`, events: WEBHOOK_EVENTS }
+    fields.events = events
+  }
+  if (body.format !== undefined) {
+    const format = String(body.format).toLowerCase()
+    if (!FORMATS.includes(format)) return { error: `format must be one of ${FORMATS.join(', ')}` }
+    fields.format = format
+  }
+  return { fields }
+}
+
+// GET /api/webhooks - the user's webhooks and the events they can subscribe to
+router.get('/', requireAuth('webhooks:read'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.user.id }).sort({ createdAt: 1 })
+    res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.map((w) => publicWebhook(w)) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/webhooks { url, events?, format?: json|slack, description? } - the secret is only returned here
+router.post('/', requireAuth('webhooks:write'), async (req, res) => {
+  try {
+    const { fields, error, events } = parseWebhook(req.body || {}, false)
+    if (error) return res.status(400).json({ error, ...(events ? { events } : {}) })
+    const count = await Webhook.countDocuments({ userId: req.user.id })
+    if (count >= MAX_WEBHOOKS_PER_USER) return res.status(400).json({ error: `Webhook limit reached (${MAX_WEBHOOKS_PER_USER})` })
+    const secret = generateSecret()
+    const webhook = await Webhook.create({ ...fields, userId: req.user.id, secret })
+    res.status(201).json({ webhook: publicWebhook(webhook, secret) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /api/webhooks/:id
+router.get('/:id', requireAuth('webhooks:read'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!webhook) return res.status(404).json({ error: 'Not found' })
+    res.json({ webhook: publicWebhook(webhook) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// PUT /api/webhooks/:id { url?, events?, format?, description?, active? } - active: true re-enables
+// a webhook that was disabled after repeated failures
+router.put('/:id', requireAuth('webhooks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!webhook) return res.status(404).json({ error: 'Not found' })
+    const { fields, error, events } = parseWebhook(req.body || {}, true)
+    if (error) return res.status(400).json({ error, ...(events ? { events } : {}) })
+    Object.assign(webhook, fields)
+    if (req.body.active !== undefined) {
+      webhook.active = Boolean(req.body.active)
+      if (webhook.active) {
+        webhook.consecutiveFailures = 0
+        webhook.disabledAt = null
+        webhook.disabledReason = ''
+      }
+    }
+    await webhook.save()
+    res.json({ webhook: publicWebhook(webhook) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/webhooks/:id/rotate-secret - issue a new signing secret; the old one stops working at once
+router.post('/:id/rotate-secret', requireAuth('webhooks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const secret = generateSecret()
+    const webhook = await Webhook.findOneAndUpdate({ _id: req.params.id, userId: req.user.id }, { $set: { secret } }, { new: true })
+    if (!webhook) return res.status(404).json({ error: 'Not found' })
+    res.json({ webhook: publicWebhook(webhook, secret) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /api/webhooks/:id/test - send a sample bookmark.created event now and report the outcome
+router.post('/:id/test', requireAuth('webhooks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user.id }).select('+secret').lean()
+    if (!webhook) return res.status(404).json({ error: 'Not found' })
+    const delivery = await sendTest(webhook)
+    res.json({ ok: delivery.status === 'succeeded', delivery: publicDelivery(delivery) })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /api/webhooks/:id/deliveries?limit=&before= - delivery log, newest first; before is a delivery id cursor
+router.get('/:id/deliveries', requireAuth('webhooks:read'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user.id }).select('_id')
+    if (!webhook) return res.status(404).json({ error: 'Not found' })
+    const limit = Math.min(MAX_DELIVERY_PAGE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_DELIVERY_PAGE))
+    const filter = { webhookId: webhook._id }
+    if (req.query.before) {
+      if (!isValidId(req.query.before)) return res.status(400).json({ error: 'Invalid before cursor' })
+      filter._id = { $lt: new mongoose.Types.ObjectId(String(req.query.before)) }
+    }
+    const deliveries = await WebhookDelivery.find(filter).sort({ _id: -1 }).limit(limit).lean()
+    res.json({
+      deliveries: deliveries.map(publicDelivery),
+      nextCursor: deliveries.length === limit ? String(deliveries[deliveries.length - 1]._id) : null,
+    })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// DELETE /api/webhooks/:id - remove the webhook and its delivery log
+router.delete('/:id', requireAuth('webhooks:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+    if (!webhook) return res.status(404).json({ error: 'Not found' })
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id })
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    res.status(500).json({ error: 'Server error' })
+  }
+})
+
+module.exports = router